@@ -0,0 +1,188 @@
+/**
+ * SOLANAFIED - WALLET SIGN-IN
+ *
+ * Sign-in with Solana: the connected wallet signs a one-time nonce through
+ * signMessage, a verifier checks the signature and issues a JWT carrying the
+ * user_wallet_id claim, and the Supabase client switches to that token so the
+ * owner-only RLS policies in database_structure.txt apply. Browser roles get no
+ * table access without that token, so a verifier signing with the project's JWT
+ * secret is required, in development too.
+ */
+
+// ========== AUTH CONFIGURATION ==========
+
+const AUTH_SESSION_STORAGE_KEY = 'solanafied-auth-session';
+const AUTH_EXPIRY_MARGIN_MS = 60 * 1000;
+
+let authSession = null;
+let authExpiryTimer = null;
+let authExpiredHandler = null;
+
+function getAuthVerifierUrl() {
+  const configured = resolveEnvVar('AUTH_VERIFIER_URL', { optional: true });
+  if (configured) return configured.replace(/\/$/, '');
+  return `${ORCHESTRATOR_BASE_URL}/api/auth`;
+}
+
+// ========== ENCODING HELPERS ==========
+
+function bytesToBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+function decodeJwtPayload(token) {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(decodeURIComponent(escape(atob(payload))));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * The exact text the wallet is asked to sign
+ */
+function buildSignInMessage(publicKey, nonce, issuedAt) {
+  return [
+    `${window.location.host} wants you to sign in to Solanafied with your Solana account:`,
+    publicKey,
+    '',
+    'Signing proves you own this wallet. It does not send a transaction or cost any SOL.',
+    '',
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`
+  ].join('\n');
+}
+
+// ========== VERIFIERS ==========
+
+async function postToVerifier(path, body) {
+  const response = await fetch(`${getAuthVerifierUrl()}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(data.message || data.error || `Sign-in failed (${response.status})`);
+    error.status = response.status;
+    throw error;
+  }
+  return data;
+}
+
+const verifier = {
+  requestNonce(publicKey) {
+    return postToVerifier('/nonce', { public_key: publicKey });
+  },
+  verify(payload) {
+    return postToVerifier('/verify', payload);
+  }
+};
+
+// ========== SESSION ==========
+
+function readStoredSession() {
+  try {
+    return JSON.parse(sessionStorage.getItem(AUTH_SESSION_STORAGE_KEY) || 'null');
+  } catch (error) {
+    console.warn('⚠️ [AUTH] Failed to read stored session:', error);
+    return null;
+  }
+}
+
+function isSessionValid(session, walletId) {
+  return Boolean(session?.accessToken)
+    && session.walletId === walletId
+    && new Date(session.expiresAt).getTime() - AUTH_EXPIRY_MARGIN_MS > Date.now();
+}
+
+function applySession(session) {
+  authSession = session;
+  sessionStorage.setItem(AUTH_SESSION_STORAGE_KEY, JSON.stringify(session));
+  DatabaseAPI.setAccessToken(session.accessToken);
+
+  clearTimeout(authExpiryTimer);
+  const expiresInMs = new Date(session.expiresAt).getTime() - AUTH_EXPIRY_MARGIN_MS - Date.now();
+  authExpiryTimer = setTimeout(() => {
+    console.warn('⚠️ [AUTH] Session expired');
+    signOut();
+    if (typeof authExpiredHandler === 'function') {
+      authExpiredHandler();
+    }
+  }, Math.max(expiresInMs, 0));
+}
+
+/**
+ * Sign in the connected wallet, reusing a still-valid session for the same wallet.
+ * walletProvider must support signMessage (Phantom, Solflare, Backpack, ...).
+ */
+async function signIn(walletProvider, publicKey) {
+  const stored = readStoredSession();
+  if (isSessionValid(stored, publicKey)) {
+    console.log('🔐 [AUTH] Reusing session for', publicKey);
+    applySession(stored);
+    return stored;
+  }
+
+  if (typeof walletProvider?.signMessage !== 'function') {
+    throw new Error('This wallet does not support message signing');
+  }
+
+  const { nonce } = await verifier.requestNonce(publicKey);
+  const message = buildSignInMessage(publicKey, nonce, new Date().toISOString());
+
+  console.log('🔐 [AUTH] Requesting sign-in signature for', publicKey);
+  const signed = await walletProvider.signMessage(new TextEncoder().encode(message), 'utf8');
+  const signature = bytesToBase64(signed.signature || signed);
+
+  const result = await verifier.verify({ public_key: publicKey, message, signature, nonce });
+  const claims = decodeJwtPayload(result.access_token);
+  if (claims?.user_wallet_id !== publicKey) {
+    throw new Error('Sign-in token was issued for a different wallet');
+  }
+
+  const session = {
+    walletId: publicKey,
+    accessToken: result.access_token,
+    expiresAt: result.expires_at || new Date(claims.exp * 1000).toISOString()
+  };
+  applySession(session);
+  console.log('✅ [AUTH] Signed in until', session.expiresAt);
+  return session;
+}
+
+/**
+ * Drop the session and return the database client to the anon key
+ */
+function signOut() {
+  clearTimeout(authExpiryTimer);
+  authExpiryTimer = null;
+  sessionStorage.removeItem(AUTH_SESSION_STORAGE_KEY);
+
+  if (authSession) {
+    DatabaseAPI.setAccessToken(null);
+  }
+  authSession = null;
+}
+
+function getSession() {
+  return authSession;
+}
+
+function onSessionExpired(handler) {
+  authExpiredHandler = handler;
+}
+
+// ========== EXPORT FOR GLOBAL ACCESS ==========
+
+window.AuthAPI = {
+  signIn,
+  signOut,
+  getSession,
+  onSessionExpired,
+  buildSignInMessage
+};
+
+console.log('🔐 Auth API loaded successfully');
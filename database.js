@@ -15,7 +15,7 @@
 
 const missingEnvWarnings = new Set();
 
-function resolveEnvVar(key) {
+function resolveEnvVar(key, { optional = false } = {}) {
   try {
     if (typeof window !== 'undefined') {
       if (window[key]) {
@@ -34,7 +34,7 @@ function resolveEnvVar(key) {
     console.warn(`[Env] Failed to resolve environment variable ${key}:`, error);
   }
 
-  if (!missingEnvWarnings.has(key)) {
+  if (!optional && !missingEnvWarnings.has(key)) {
     console.warn(`[Env] ${key} is not defined. Configure it via deployment environment variables.`);
     missingEnvWarnings.add(key);
   }
@@ -70,6 +70,33 @@ function initializeDatabase() {
   }
 }
 
+/**
+ * Point the Supabase client at a wallet sign-in token (or back to the anon key with null).
+ * The client is recreated so REST requests carry the token, and realtime channels are
+ * authorized with it; callers re-create their subscriptions afterwards.
+ */
+function setAccessToken(accessToken) {
+  if (typeof supabase === 'undefined' || !SUPABASE_URL || !SUPABASE_ANON_KEY) {
+    return false;
+  }
+
+  if (supabaseClient && typeof supabaseClient.removeAllChannels === 'function') {
+    supabaseClient.removeAllChannels();
+  }
+
+  supabaseClient = supabase.createClient(SUPABASE_URL, SUPABASE_ANON_KEY, {
+    auth: { persistSession: false, autoRefreshToken: false },
+    global: accessToken ? { headers: { Authorization: `Bearer ${accessToken}` } } : {}
+  });
+
+  if (accessToken) {
+    supabaseClient.realtime.setAuth(accessToken);
+  }
+
+  console.log(accessToken ? '🔐 Database client using wallet session' : '🔓 Database client using anon key');
+  return true;
+}
+
 // ========== UTILITY FUNCTIONS ==========
 
 /**
@@ -89,6 +116,12 @@ function handleDatabaseError(error, operation) {
     userMessage = 'Requested data not found.';
   } else if (error.message.includes('duplicate') || error.code === '23505') {
     userMessage = 'This record already exists.';
+  } else if (error.message.includes('assigned to another active bundler')) {
+    userMessage = 'A mother wallet of this bundler is now in use by another bundler.';
+  } else if (error.message.includes('not owned by this wallet')) {
+    userMessage = 'You can only edit tokens launched from this wallet.';
+  } else if (error.code === '42501') {
+    userMessage = 'You do not have permission to change this record.';
   }
   
   showSnackbar(userMessage, 'error');
@@ -113,8 +146,42 @@ function truncateAddress(address, startChars = 4, endChars = 4) {
   return `${address.slice(0, startChars)}...${address.slice(-endChars)}`;
 }
 
+// ========== COLUMN PROJECTIONS ==========
+
+// Private keys never leave the database. Wallet reads go through the *_public
+// views (see database_structure.txt) and always name their columns explicitly.
+const USER_PUBLIC_COLUMNS = [
+  'id',
+  'user_wallet_id',
+  'distributor_public_key',
+  'distributor_balance_sol',
+  'distributor_balance_spl',
+  'dev_public_key',
+  'dev_balance_sol',
+  'dev_balance_spl'
+].join(', ');
+const MOTHER_WALLET_PUBLIC_COLUMNS = 'id, public_key, balance_sol, is_available';
+const CHILD_WALLET_PUBLIC_COLUMNS = 'public_key, mother_wallet_id, balance_sol, balance_spl';
+const ACTIVITY_COLUMNS = [
+  'id',
+  'type',
+  'status',
+  'amount_sol',
+  'amount_spl',
+  'signature',
+  'from_address',
+  'to_address',
+  'bundler_id',
+  'token_id',
+  'error',
+  'created_at'
+].join(', ');
+
 // ========== USER OPERATIONS ==========
 
+// Balances are read-only here. The orchestrator writes them (service role) from
+// its verify endpoints; see OrchestratorAPI.verifyInAppBalance / verifyDevWalletBalance.
+
 /**
  * Get user by wallet ID
  */
@@ -127,8 +194,8 @@ async function getUserByWalletId(walletId) {
     console.log('[DatabaseAPI] Fetching user by wallet ID:', walletId);
 
     const { data, error } = await supabaseClient
-      .from('users')
-      .select('*')
+      .from('users_public')
+      .select(USER_PUBLIC_COLUMNS)
       .eq('user_wallet_id', walletId)
       .maybeSingle();
 
@@ -153,65 +220,6 @@ async function getUserByWalletId(walletId) {
   }
 }
 
-/**
- * Update distributor wallet balances
- */
-async function updateUserDistributorBalances(walletId, solBalance, splBalance) {
-  try {
-    if (!supabaseClient) {
-      throw new Error('Database not initialized');
-    }
-
-    const { data, error } = await supabaseClient
-      .from('users')
-      .update({
-        distributor_balance_sol: solBalance,
-        distributor_balance_spl: splBalance
-      })
-      .eq('user_wallet_id', walletId)
-      .select();
-
-    if (error) throw error;
-
-    return data[0];
-  } catch (error) {
-    return handleDatabaseError(error, 'update distributor balances');
-  }
-}
-
-/**
- * Update developer wallet balances
- */
-async function updateUserDevBalances(walletId, solBalance, splBalance) {
-  try {
-    if (!supabaseClient) {
-      throw new Error('Database not initialized');
-    }
-
-    const { data, error } = await supabaseClient
-      .from('users')
-      .update({
-        dev_balance_sol: solBalance,
-        dev_balance_spl: splBalance
-      })
-      .eq('user_wallet_id', walletId)
-      .select();
-
-    if (error) throw error;
-
-    return data[0];
-  } catch (error) {
-    return handleDatabaseError(error, 'update developer balances');
-  }
-}
-
-/**
- * Backward-compatible wrapper for distributor balance updates
- */
-async function updateUserBalances(walletId, solBalance, splBalance) {
-  return updateUserDistributorBalances(walletId, solBalance, splBalance);
-}
-
 // ========== BUNDLER OPERATIONS ==========
 
 /**
@@ -251,9 +259,7 @@ async function createBundler(walletId, tokenName, isActive = true) {
       .insert({
         user_wallet_id: walletId,
         token_name: tokenName,
-        is_active: isActive,
-        total_balance_sol: 0,
-        total_balance_spl: 0
+        is_active: isActive
       })
       .select();
 
@@ -292,6 +298,31 @@ async function updateBundlerStatus(bundlerId, isActive) {
   }
 }
 
+/**
+ * Mother wallets assigned to an archived bundler that another active bundler now holds.
+ * Archiving releases a bundler's mother wallets, so they must all be free again before
+ * it can be reactivated.
+ */
+async function getBundlerReactivationConflicts(bundlerId) {
+  try {
+    if (!supabaseClient) {
+      throw new Error('Database not initialized');
+    }
+
+    const { data, error } = await supabaseClient
+      .from('assigned_mother_wallets')
+      .select(`mother_wallets!inner(${MOTHER_WALLET_PUBLIC_COLUMNS})`)
+      .eq('bundler_id', bundlerId)
+      .eq('mother_wallets.is_available', false);
+
+    if (error) throw error;
+
+    return (data || []).map((row) => row.mother_wallets);
+  } catch (error) {
+    return handleDatabaseError(error, 'check bundler reactivation');
+  }
+}
+
 // ========== MOTHER WALLET OPERATIONS ==========
 
 /**
@@ -304,8 +335,8 @@ async function getMotherWallets(filter = 'all') {
     }
 
     let query = supabaseClient
-      .from('mother_wallets')
-      .select('*')
+      .from('mother_wallets_public')
+      .select(MOTHER_WALLET_PUBLIC_COLUMNS)
       .order('id', { ascending: false });
 
     // Apply filter
@@ -325,35 +356,6 @@ async function getMotherWallets(filter = 'all') {
   }
 }
 
-/**
- * Create a new mother wallet
- */
-async function createMotherWallet(privateKey, publicKey, initialSolBalance = 0) {
-  try {
-    if (!supabaseClient) {
-      throw new Error('Database not initialized');
-    }
-
-    const { data, error } = await supabaseClient
-      .from('mother_wallets')
-      .insert({
-        private_key: privateKey,
-        public_key: publicKey,
-        balance_sol: initialSolBalance,
-        is_available: true
-      })
-      .select();
-
-    if (error) throw error;
-    
-    console.log('✅ Mother wallet created successfully:', data);
-    showSnackbar('Mother wallet created successfully', 'success');
-    return data[0];
-  } catch (error) {
-    return handleDatabaseError(error, 'create mother wallet');
-  }
-}
-
 // ========== CHILD WALLET OPERATIONS ==========
 
 /**
@@ -366,8 +368,8 @@ async function getChildWallets(motherWalletId) {
     }
 
     const { data, error } = await supabaseClient
-      .from('child_wallets')
-      .select('*')
+      .from('child_wallets_public')
+      .select(CHILD_WALLET_PUBLIC_COLUMNS)
       .eq('mother_wallet_id', motherWalletId)
       .order('balance_sol', { ascending: false });
 
@@ -379,61 +381,6 @@ async function getChildWallets(motherWalletId) {
   }
 }
 
-/**
- * Create a new child wallet
- */
-async function createChildWallet(privateKey, publicKey, motherWalletId, solBalance = 0, splBalance = 0) {
-  try {
-    if (!supabaseClient) {
-      throw new Error('Database not initialized');
-    }
-
-    const { data, error } = await supabaseClient
-      .from('child_wallets')
-      .insert({
-        private_key: privateKey,
-        public_key: publicKey,
-        mother_wallet_id: motherWalletId,
-        balance_sol: solBalance,
-        balance_spl: splBalance
-      })
-      .select();
-
-    if (error) throw error;
-    
-    console.log('✅ Child wallet created successfully:', data);
-    return data[0];
-  } catch (error) {
-    return handleDatabaseError(error, 'create child wallet');
-  }
-}
-
-/**
- * Update child wallet balances
- */
-async function updateChildWalletBalances(privateKey, solBalance, splBalance) {
-  try {
-    if (!supabaseClient) {
-      throw new Error('Database not initialized');
-    }
-
-    const { data, error } = await supabaseClient
-      .from('child_wallets')
-      .update({
-        balance_sol: solBalance,
-        balance_spl: splBalance
-      })
-      .eq('private_key', privateKey)
-      .select();
-
-    if (error) throw error;
-    
-    return data[0];
-  } catch (error) {
-    return handleDatabaseError(error, 'update child wallet balances');
-  }
-}
-
 // ========== ASSIGNED MOTHER WALLETS OPERATIONS ==========
 
 /**
@@ -449,12 +396,7 @@ async function getAssignedMotherWallets(bundlerId) {
       .from('assigned_mother_wallets')
       .select(`
         *,
-        mother_wallets!inner(
-          id,
-          public_key,
-          balance_sol,
-          is_available
-        )
+        mother_wallets!inner(${MOTHER_WALLET_PUBLIC_COLUMNS})
       `)
       .eq('bundler_id', bundlerId);
 
@@ -467,9 +409,9 @@ async function getAssignedMotherWallets(bundlerId) {
 }
 
 /**
- * Assign a mother wallet to a bundler
+ * Mother wallet assignments held by the user's bundlers (active and archived), with the bundler name
  */
-async function assignMotherWalletToBundler(motherWalletId, bundlerId) {
+async function getUserMotherWalletAssignments(walletId) {
   try {
     if (!supabaseClient) {
       throw new Error('Database not initialized');
@@ -477,21 +419,14 @@ async function assignMotherWalletToBundler(motherWalletId, bundlerId) {
 
     const { data, error } = await supabaseClient
       .from('assigned_mother_wallets')
-      .insert({
-        mother_wallet_id: motherWalletId,
-        bundler_id: bundlerId,
-        child_balance_sol: 0,
-        child_balance_spl: 0
-      })
-      .select();
+      .select('mother_wallet_id, bundlers!inner(id, token_name, is_active, user_wallet_id)')
+      .eq('bundlers.user_wallet_id', walletId);
 
     if (error) throw error;
-    
-    console.log('✅ Mother wallet assigned to bundler successfully:', data);
-    showSnackbar('Mother wallet assigned successfully', 'success');
-    return data[0];
+
+    return data || [];
   } catch (error) {
-    return handleDatabaseError(error, 'assign mother wallet to bundler');
+    return handleDatabaseError(error, 'get mother wallet assignments') || [];
   }
 }
 
@@ -555,6 +490,160 @@ async function createToken(walletId, tokenData) {
   }
 }
 
+// Metadata that can still change after launch; name, symbol and contract are fixed on-chain
+const TOKEN_EDITABLE_COLUMNS = ['description', 'image_url', 'twitter', 'telegram', 'website'];
+
+/**
+ * Update a token's off-chain metadata. Only TOKEN_EDITABLE_COLUMNS are sent, and the
+ * row must belong to walletId (RLS and the column grants enforce the same server-side).
+ */
+async function updateToken(walletId, tokenId, updates = {}) {
+  try {
+    if (!supabaseClient) {
+      throw new Error('Database not initialized');
+    }
+
+    const patch = Object.fromEntries(
+      Object.entries(updates).filter(([column]) => TOKEN_EDITABLE_COLUMNS.includes(column))
+    );
+    if (!Object.keys(patch).length) {
+      throw new Error('No editable token fields to update');
+    }
+
+    const { data, error } = await supabaseClient
+      .from('tokens')
+      .update(patch)
+      .eq('id', tokenId)
+      .eq('user_wallet_id', walletId)
+      .select();
+
+    if (error) throw error;
+    // RLS turns another wallet's row into zero updated rows rather than an error
+    if (!data?.length) {
+      throw new Error('Token is not owned by this wallet');
+    }
+
+    console.log('✅ Token updated successfully:', data);
+    return data[0];
+  } catch (error) {
+    return handleDatabaseError(error, 'update token');
+  }
+}
+
+// ========== ACTIVITY LOG ==========
+
+/**
+ * Get a page of a user's activity, newest first
+ * options: { page, pageSize, types: [], status, bundlerId, tokenId }
+ * Returns { items, total, page, pageSize, hasMore }
+ */
+async function getUserActivity(walletId, { page = 0, pageSize = 20, types = [], status = null, bundlerId = null, tokenId = null } = {}) {
+  try {
+    if (!supabaseClient) {
+      throw new Error('Database not initialized');
+    }
+
+    const from = page * pageSize;
+    let query = supabaseClient
+      .from('activity_log')
+      .select(ACTIVITY_COLUMNS, { count: 'exact' })
+      .eq('user_wallet_id', walletId)
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false })
+      .range(from, from + pageSize - 1);
+
+    if (types.length) {
+      query = query.in('type', types);
+    }
+    if (status) {
+      query = query.eq('status', status);
+    }
+    if (bundlerId !== null) {
+      query = query.eq('bundler_id', bundlerId);
+    }
+    if (tokenId !== null) {
+      query = query.eq('token_id', tokenId);
+    }
+
+    const { data, error, count } = await query;
+
+    if (error) throw error;
+
+    const items = data || [];
+    return {
+      items,
+      total: count ?? items.length,
+      page,
+      pageSize,
+      hasMore: count !== null ? from + items.length < count : items.length === pageSize
+    };
+  } catch (error) {
+    handleDatabaseError(error, 'get user activity');
+    return { items: [], total: 0, page, pageSize, hasMore: false };
+  }
+}
+
+// ========== BALANCE HISTORY ==========
+
+const BALANCE_HISTORY_RANGES_MS = {
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+  '30d': 30 * 24 * 60 * 60 * 1000
+};
+const BALANCE_HISTORY_MAX_POINTS = 1000;
+
+/**
+ * Get balance snapshots for a distributor, dev or bundler wallet over a range
+ * options: { subject: 'distributor' | 'dev' | 'bundler', bundlerId, range: '24h' | '7d' | '30d' }
+ * The last snapshot before the range is included so the series starts at the range edge.
+ * Ranges with more than BALANCE_HISTORY_MAX_POINTS snapshots keep the newest ones.
+ */
+async function getBalanceHistory(walletId, { subject = 'distributor', bundlerId = null, range = '24h' } = {}) {
+  try {
+    if (!supabaseClient) {
+      throw new Error('Database not initialized');
+    }
+
+    const since = new Date(Date.now() - (BALANCE_HISTORY_RANGES_MS[range] || BALANCE_HISTORY_RANGES_MS['24h'])).toISOString();
+
+    const scoped = () => {
+      let query = supabaseClient
+        .from('balance_snapshots')
+        .select('balance_sol, balance_spl, recorded_at')
+        .eq('user_wallet_id', walletId)
+        .eq('subject', subject);
+      return bundlerId !== null ? query.eq('bundler_id', bundlerId) : query;
+    };
+
+    const [inRange, previous] = await Promise.all([
+      // Newest first so a capped range still reaches "now"; reversed below
+      scoped().gte('recorded_at', since).order('recorded_at', { ascending: false }).limit(BALANCE_HISTORY_MAX_POINTS),
+      scoped().lt('recorded_at', since).order('recorded_at', { ascending: false }).limit(1)
+    ]);
+
+    if (inRange.error) throw inRange.error;
+    if (previous.error) throw previous.error;
+
+    const rows = (inRange.data || []).reverse();
+    const points = rows.map((row) => ({
+      time: new Date(row.recorded_at).getTime(),
+      sol: parseFloat(row.balance_sol),
+      spl: parseFloat(row.balance_spl)
+    }));
+
+    // A capped range no longer starts at `since`, so the earlier balance would not connect to it
+    if (previous.data?.length && rows.length < BALANCE_HISTORY_MAX_POINTS) {
+      const row = previous.data[0];
+      points.unshift({ time: new Date(since).getTime(), sol: parseFloat(row.balance_sol), spl: parseFloat(row.balance_spl) });
+    }
+
+    return points;
+  } catch (error) {
+    handleDatabaseError(error, 'get balance history');
+    return [];
+  }
+}
+
 // ========== ANALYTICS & DASHBOARD DATA ==========
 
 /**
@@ -599,55 +688,195 @@ async function getDashboardSummary(walletId) {
 
 // ========== REAL-TIME SUBSCRIPTIONS ==========
 
+// Realtime accepts at most 100 values in an `in` filter
+const REALTIME_IN_FILTER_LIMIT = 100;
+
 /**
- * Subscribe to bundler changes for real-time updates
+ * Subscribe to postgres changes on one table. filter uses the Realtime syntax
+ * (`column=eq.value`, `column=in.(a,b)`); RLS still applies on top of it.
+ * Returns the channel, or null when the client is not ready.
  */
-function subscribeToBundlerChanges(walletId, callback) {
+function subscribeToTableChanges(channelName, { table, event = '*', filter = null }, callback) {
   if (!supabaseClient) {
     console.error('Database not initialized');
     return null;
   }
 
-  const subscription = supabaseClient
-    .channel('bundler-changes')
+  return supabaseClient
+    .channel(channelName)
     .on(
       'postgres_changes',
       {
-        event: '*',
+        event,
         schema: 'public',
-        table: 'bundlers',
-        filter: `user_wallet_id=eq.${walletId}`
+        table,
+        ...(filter ? { filter } : {})
       },
       callback
     )
     .subscribe();
+}
+
+/**
+ * Remove a channel returned by one of the subscribe functions
+ */
+function unsubscribeChannel(channel) {
+  if (channel && supabaseClient) {
+    supabaseClient.removeChannel(channel);
+  }
+}
+
+/**
+ * Subscribe to balance and wallet changes of one user
+ */
+function subscribeToUserChanges(walletId, callback) {
+  return subscribeToTableChanges('users-changes', { table: 'users', filter: `user_wallet_id=eq.${walletId}` }, callback);
+}
 
-  return subscription;
+/**
+ * Subscribe to bundler changes for real-time updates
+ */
+function subscribeToBundlerChanges(walletId, callback) {
+  return subscribeToTableChanges('bundlers-changes', { table: 'bundlers', filter: `user_wallet_id=eq.${walletId}` }, callback);
+}
+
+/**
+ * Subscribe to token changes of one user
+ */
+function subscribeToTokenChanges(walletId, callback) {
+  return subscribeToTableChanges('tokens-changes', { table: 'tokens', filter: `user_wallet_id=eq.${walletId}` }, callback);
 }
 
 /**
  * Subscribe to mother wallet availability changes
  */
 function subscribeToMotherWalletChanges(callback) {
-  if (!supabaseClient) {
-    console.error('Database not initialized');
+  return subscribeToTableChanges('mother-wallet-changes', { table: 'mother_wallets', event: 'UPDATE' }, callback);
+}
+
+/**
+ * Subscribe to balance changes of the child wallets under the given mother wallets
+ */
+function subscribeToChildWalletChanges(motherWalletIds, callback) {
+  if (!motherWalletIds.length) return null;
+
+  if (motherWalletIds.length > REALTIME_IN_FILTER_LIMIT) {
+    console.warn(`⚠️ Child wallet updates limited to the first ${REALTIME_IN_FILTER_LIMIT} mother wallets`);
+  }
+  const ids = motherWalletIds.slice(0, REALTIME_IN_FILTER_LIMIT).join(',');
+
+  return subscribeToTableChanges('child-wallets-changes', { table: 'child_wallets', filter: `mother_wallet_id=in.(${ids})` }, callback);
+}
+
+/**
+ * Subscribe to mother wallet assignments. Not filtered: RLS already limits rows to
+ * the user's bundlers, and Realtime cannot filter DELETE events anyway.
+ */
+function subscribeToAssignmentChanges(callback) {
+  return subscribeToTableChanges('assigned-mother-wallets-changes', { table: 'assigned_mother_wallets' }, callback);
+}
+
+// ========== LOCAL PERSISTENCE (INDEXEDDB) ==========
+
+const LOCAL_DB_NAME = 'solanafied';
+const LOCAL_DB_VERSION = 3;
+const LOCAL_DB_STORES = {
+  notifications: { keyPath: 'id', indexes: ['user_wallet_id'] },
+  token_drafts: { keyPath: 'user_wallet_id' }, // one autosaved launch form per wallet, logo blob included
+  launch_templates: { keyPath: 'id', indexes: ['user_wallet_id'] },
+  scheduled_launches: { keyPath: 'id', indexes: ['user_wallet_id'] } // prepared payloads for scheduler.js
+};
+
+let localDbPromise = null;
+
+/**
+ * Open the browser-side IndexedDB database, creating missing stores on upgrade
+ */
+function openLocalDatabase() {
+  if (localDbPromise) return localDbPromise;
+
+  localDbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available in this browser'));
+      return;
+    }
+
+    const request = indexedDB.open(LOCAL_DB_NAME, LOCAL_DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      Object.entries(LOCAL_DB_STORES).forEach(([storeName, config]) => {
+        const store = db.objectStoreNames.contains(storeName)
+          ? request.transaction.objectStore(storeName)
+          : db.createObjectStore(storeName, { keyPath: config.keyPath });
+        (config.indexes || []).forEach((indexName) => {
+          if (!store.indexNames.contains(indexName)) {
+            store.createIndex(indexName, indexName, { unique: false });
+          }
+        });
+      });
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  localDbPromise.catch(() => {
+    localDbPromise = null;
+  });
+
+  return localDbPromise;
+}
+
+async function runLocalRequest(storeName, mode, buildRequest) {
+  const db = await openLocalDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = buildRequest(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Insert or replace a record in a local store
+ */
+async function putLocalRecord(storeName, record) {
+  try {
+    await runLocalRequest(storeName, 'readwrite', (store) => store.put(record));
+    return record;
+  } catch (error) {
+    console.error(`❌ [LocalDB] Failed to save record in ${storeName}:`, error);
     return null;
   }
+}
 
-  const subscription = supabaseClient
-    .channel('mother-wallet-changes')
-    .on(
-      'postgres_changes',
-      {
-        event: 'UPDATE',
-        schema: 'public',
-        table: 'mother_wallets'
-      },
-      callback
-    )
-    .subscribe();
+/**
+ * Get records from a local store, optionally filtered by an index value
+ */
+async function getLocalRecords(storeName, indexName = null, value = undefined) {
+  try {
+    return await runLocalRequest(storeName, 'readonly', (store) =>
+      indexName ? store.index(indexName).getAll(value) : store.getAll()
+    ) || [];
+  } catch (error) {
+    console.error(`❌ [LocalDB] Failed to read records from ${storeName}:`, error);
+    return [];
+  }
+}
 
-  return subscription;
+/**
+ * Delete a record from a local store
+ */
+async function deleteLocalRecord(storeName, key) {
+  try {
+    await runLocalRequest(storeName, 'readwrite', (store) => store.delete(key));
+    return true;
+  } catch (error) {
+    console.error(`❌ [LocalDB] Failed to delete record from ${storeName}:`, error);
+    return false;
+  }
 }
 
 // ========== EXPORT FOR GLOBAL ACCESS ==========
@@ -657,40 +886,56 @@ window.DatabaseAPI = {
   // Initialization
   initialize: initializeDatabase,
   
+  // Connection
+  setAccessToken,
+  
   // User operations
   getUserByWalletId,
-  updateUserDistributorBalances,
-  updateUserDevBalances,
-  updateUserBalances,
   
   // Bundler operations
   getUserBundlers,
   createBundler,
   updateBundlerStatus,
+  getBundlerReactivationConflicts,
   
   // Mother wallet operations
   getMotherWallets,
-  createMotherWallet,
   
   // Child wallet operations
   getChildWallets,
-  createChildWallet,
-  updateChildWalletBalances,
   
   // Assignment operations
   getAssignedMotherWallets,
-  assignMotherWalletToBundler,
+  getUserMotherWalletAssignments,
   
   // Token operations
   getUserTokens,
   createToken,
+  updateToken,
+  
+  // Activity log
+  getUserActivity,
+  
+  // Balance history
+  getBalanceHistory,
   
   // Dashboard
   getDashboardSummary,
   
   // Real-time subscriptions
+  subscribeToTableChanges,
+  unsubscribeChannel,
+  subscribeToUserChanges,
   subscribeToBundlerChanges,
+  subscribeToTokenChanges,
   subscribeToMotherWalletChanges,
+  subscribeToChildWalletChanges,
+  subscribeToAssignmentChanges,
+  
+  // Local persistence (IndexedDB)
+  putLocalRecord,
+  getLocalRecords,
+  deleteLocalRecord,
   
   // Utilities
   formatBalance,
@@ -0,0 +1,243 @@
+/**
+ * SOLANAFIED - ORCHESTRATOR JOB TRACKER
+ *
+ * Long-running orchestrator operations (bundler creation, token launches) are
+ * submitted as jobs. This file persists submitted jobs, polls the job-status
+ * endpoint and dispatches progress and results to registered handlers, so a
+ * sleeping tab, a network blip or a page reload no longer loses the outcome.
+ */
+
+// ========== JOB CONFIGURATION ==========
+
+const JOBS_STORAGE_KEY = 'solanafied-orchestrator-jobs';
+const JOB_POLL_INTERVAL_MS = 5000;
+const JOB_MAX_POLL_INTERVAL_MS = 60000;
+const JOB_MAX_AGE_MS = 6 * 60 * 60 * 1000; // stop tracking after 6 hours
+const JOB_TERMINAL_STATUSES = ['completed', 'failed'];
+
+const jobHandlers = {};
+const jobPollTimers = new Map();
+let activeJobWalletId = null;
+
+// ========== PERSISTENCE ==========
+
+function readStoredJobs() {
+  try {
+    return JSON.parse(localStorage.getItem(JOBS_STORAGE_KEY) || '{}');
+  } catch (error) {
+    console.warn('⚠️ [JOBS] Failed to read stored jobs:', error);
+    return {};
+  }
+}
+
+function writeStoredJobs(jobs) {
+  try {
+    localStorage.setItem(JOBS_STORAGE_KEY, JSON.stringify(jobs));
+  } catch (error) {
+    console.warn('⚠️ [JOBS] Failed to persist jobs:', error);
+  }
+}
+
+function getJob(jobId) {
+  return readStoredJobs()[jobId] || null;
+}
+
+function saveJob(job) {
+  const jobs = readStoredJobs();
+  jobs[job.jobId] = job;
+  writeStoredJobs(jobs);
+}
+
+function removeJob(jobId) {
+  const jobs = readStoredJobs();
+  delete jobs[jobId];
+  writeStoredJobs(jobs);
+}
+
+// ========== HANDLER REGISTRY ==========
+
+/**
+ * Register callbacks for a job type
+ * handlers: { onUpdate(job), onComplete(job, result), onFailed(job, errorMessage), onResume(job) }
+ */
+function registerJobHandler(type, handlers) {
+  jobHandlers[type] = handlers;
+}
+
+/**
+ * Handlers may be async; their rejections are logged like synchronous throws
+ */
+function dispatchJobEvent(job, event, ...args) {
+  const handler = jobHandlers[job.type]?.[event];
+  if (typeof handler !== 'function') return;
+  const logFailure = (error) => console.error(`❌ [JOBS] ${event} handler failed for job ${job.jobId}:`, error);
+  try {
+    Promise.resolve(handler(job, ...args)).catch(logFailure);
+  } catch (error) {
+    logFailure(error);
+  }
+}
+
+// ========== TRACKING ==========
+
+/**
+ * Start tracking a job returned by an orchestrator submit call
+ */
+function trackJob({ jobId, type, userWalletId, params = {}, status = 'queued' }) {
+  if (!jobId || !type) {
+    throw new Error('Job id and type are required to track a job');
+  }
+
+  const job = {
+    jobId,
+    type,
+    userWalletId,
+    params,
+    status,
+    progress: null,
+    submittedAt: Date.now(),
+    failedPolls: 0
+  };
+
+  saveJob(job);
+  activeJobWalletId = userWalletId;
+  console.log('🕒 [JOBS] Tracking job:', job);
+  scheduleJobPoll(jobId, JOB_POLL_INTERVAL_MS);
+  return job;
+}
+
+function scheduleJobPoll(jobId, delayMs) {
+  clearTimeout(jobPollTimers.get(jobId));
+  jobPollTimers.set(jobId, setTimeout(() => pollJob(jobId), delayMs));
+}
+
+function stopJobPoll(jobId) {
+  clearTimeout(jobPollTimers.get(jobId));
+  jobPollTimers.delete(jobId);
+}
+
+function isActiveWalletJob(job) {
+  return Boolean(job) && job.userWalletId === activeJobWalletId;
+}
+
+async function pollJob(jobId) {
+  const job = getJob(jobId);
+  if (!isActiveWalletJob(job)) {
+    stopJobPoll(jobId);
+    return;
+  }
+
+  if (Date.now() - job.submittedAt > JOB_MAX_AGE_MS) {
+    applyJobUpdate({ job_id: jobId, status: 'failed', error: 'Job status is no longer available.' });
+    return;
+  }
+
+  try {
+    const statusResponse = await OrchestratorAPI.getJobStatus(jobId);
+    // The wallet may have disconnected while the request was in flight
+    if (!isActiveWalletJob(job)) return;
+    if (!applyJobUpdate({ job_id: jobId, ...statusResponse })) return;
+
+    const refreshed = getJob(jobId);
+    if (refreshed) {
+      refreshed.failedPolls = 0;
+      saveJob(refreshed);
+      scheduleJobPoll(jobId, JOB_POLL_INTERVAL_MS);
+    }
+  } catch (error) {
+    console.error(`❌ [JOBS] Failed to poll job ${jobId}:`, error);
+    if (!isActiveWalletJob(job)) return;
+
+    if (error?.status === 404) {
+      applyJobUpdate({ job_id: jobId, status: 'failed', error: 'Job not found on orchestrator.' });
+      return;
+    }
+
+    job.failedPolls = (job.failedPolls || 0) + 1;
+    saveJob(job);
+    const backoffMs = Math.min(JOB_MAX_POLL_INTERVAL_MS, JOB_POLL_INTERVAL_MS * Math.pow(2, job.failedPolls));
+    scheduleJobPoll(jobId, backoffMs);
+  }
+}
+
+/**
+ * Apply a job status update from polling or a JOB_UPDATED notification.
+ * Returns false when the job is unknown or has reached a terminal status.
+ */
+function applyJobUpdate(update) {
+  const jobId = update?.job_id;
+  const job = jobId ? getJob(jobId) : null;
+  if (!job) return false;
+
+  job.status = update.status || job.status;
+  if (update.progress !== undefined) {
+    job.progress = update.progress;
+  }
+
+  if (!JOB_TERMINAL_STATUSES.includes(job.status)) {
+    saveJob(job);
+    dispatchJobEvent(job, 'onUpdate');
+    return true;
+  }
+
+  stopJobPoll(jobId);
+  removeJob(jobId);
+
+  if (job.status === 'completed') {
+    console.log(`✅ [JOBS] Job ${jobId} completed:`, update.result);
+    dispatchJobEvent(job, 'onComplete', update.result || {});
+  } else {
+    const errorMessage = update.error?.message || update.error || 'Job failed';
+    console.error(`❌ [JOBS] Job ${jobId} failed:`, errorMessage);
+    dispatchJobEvent(job, 'onFailed', errorMessage);
+  }
+  return false;
+}
+
+/**
+ * Resume polling for the connected wallet's jobs persisted by a previous page load.
+ * Jobs already being polled are left alone, so calling this again is harmless.
+ */
+function resumeJobs(userWalletId) {
+  if (!userWalletId) return;
+  if (userWalletId !== activeJobWalletId) {
+    stopJobPolling();
+    activeJobWalletId = userWalletId;
+  }
+
+  const jobs = Object.values(readStoredJobs())
+    .filter((job) => job.userWalletId === userWalletId && !jobPollTimers.has(job.jobId));
+  if (!jobs.length) return;
+
+  console.log(`🕒 [JOBS] Resuming ${jobs.length} job(s) from previous session`);
+  jobs.forEach((job) => {
+    dispatchJobEvent(job, 'onResume');
+    scheduleJobPoll(job.jobId, 0);
+  });
+}
+
+function getActiveJobs(type = null) {
+  return Object.values(readStoredJobs()).filter((job) => !type || job.type === type);
+}
+
+/**
+ * Stop polling every job, e.g. when the wallet disconnects. Stored jobs are kept for the next resume.
+ */
+function stopJobPolling() {
+  jobPollTimers.forEach((timer) => clearTimeout(timer));
+  jobPollTimers.clear();
+  activeJobWalletId = null;
+}
+
+// ========== EXPORT FOR GLOBAL ACCESS ==========
+
+window.JobTracker = {
+  registerJobHandler,
+  trackJob,
+  applyJobUpdate,
+  resumeJobs,
+  getActiveJobs,
+  stopJobPolling
+};
+
+console.log('🕒 Job tracker loaded successfully');
@@ -5,6 +5,244 @@
  * and provides a simple API endpoint for receiving notifications.
  */
 
+// ========== NOTIFICATION SCHEMAS ==========
+
+const NOTIFICATION_DEAD_LETTER_KEY = 'solanafied-notification-dead-letters';
+const MAX_DEAD_LETTERS = 50;
+const DEAD_LETTER_PAYLOAD_MAX_CHARS = 2000;
+
+/**
+ * Field types: string, id (string or number), numeric (number or numeric string),
+ * timestamp (ISO date string), object, any. A trailing "?" marks the field optional.
+ */
+const NOTIFICATION_ENVELOPE_FIELDS = {
+  type: 'string',
+  version: 'integer?',
+  message: 'string?',
+  user_wallet_id: 'string?',
+  event_id: 'id?',
+  id: 'id?',
+  timestamp: 'timestamp?'
+};
+
+/**
+ * Per-type payload schemas keyed by version. Aliases map legacy field names
+ * to their canonical name and are rewritten before validation.
+ */
+const NOTIFICATION_SCHEMAS = {
+  WALLET_CREATED: {
+    1: {
+      fields: { user_wallet_id: 'string', distributor_public_key: 'string' },
+      aliases: { in_app_public_key: 'distributor_public_key' }
+    }
+  },
+  BUNDLER_CREATED: {
+    1: {
+      fields: { user_wallet_id: 'string', bundler_id: 'id', total_balance_sol: 'numeric?' }
+    }
+  },
+  TOKEN_CREATED: {
+    1: {
+      fields: { user_wallet_id: 'string', token_name: 'string', contract_address: 'string?', token_id: 'id?' }
+    }
+  },
+  BALANCE_UPDATED: {
+    1: {
+      fields: { user_wallet_id: 'string', new_balance_sol: 'numeric?', new_balance_spl: 'numeric?' }
+    }
+  },
+  BUNDLER_FAILED: {
+    1: {
+      fields: { user_wallet_id: 'string', error: 'string', bundler_id: 'id?', job_id: 'id?' }
+    }
+  },
+  TOKEN_LAUNCH_FAILED: {
+    1: {
+      fields: { user_wallet_id: 'string', error: 'string', token_name: 'string?', job_id: 'id?' }
+    }
+  },
+  SELL_COMPLETED: {
+    1: {
+      fields: {
+        user_wallet_id: 'string',
+        source: 'string',
+        bundler_id: 'id?',
+        token_name: 'string?',
+        contract_address: 'string?',
+        sell_percent: 'numeric?',
+        sol_received: 'numeric?',
+        signature: 'string?'
+      }
+    }
+  },
+  SELL_FAILED: {
+    1: {
+      fields: {
+        user_wallet_id: 'string',
+        source: 'string',
+        error: 'string',
+        bundler_id: 'id?',
+        token_name: 'string?',
+        contract_address: 'string?',
+        sell_percent: 'numeric?'
+      }
+    }
+  },
+  TRANSFER_COMPLETED: {
+    1: {
+      fields: { user_wallet_id: 'string', amount_sol: 'numeric', destination: 'string?', signature: 'string?' }
+    }
+  },
+  DEV_WALLET_READY: {
+    1: {
+      fields: { user_wallet_id: 'string', dev_public_key: 'string' }
+    }
+  },
+  LOW_BALANCE_WARNING: {
+    1: {
+      fields: { user_wallet_id: 'string', wallet: 'string', balance_sol: 'numeric', threshold_sol: 'numeric?' }
+    }
+  },
+  JOB_UPDATED: {
+    1: {
+      fields: { job_id: 'id', status: 'string', progress: 'any?', result: 'object?', error: 'any?' }
+    }
+  },
+  BUNDLER_PROGRESS: {
+    1: {
+      fields: {
+        job_id: 'id?',
+        bundler_id: 'id?',
+        mother_wallet_id: 'id',
+        public_key: 'string?',
+        step: 'string',
+        status: 'string',
+        signature: 'string?',
+        error: 'string?'
+      }
+    }
+  }
+};
+
+function checkFieldType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string' && value.length > 0;
+    case 'integer':
+      return Number.isInteger(value);
+    case 'id':
+      return (typeof value === 'string' && value.length > 0) || Number.isFinite(value);
+    case 'numeric':
+      return Number.isFinite(typeof value === 'string' ? Number(value) : value) && value !== '';
+    case 'timestamp':
+      return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+    case 'object':
+      return value !== null && typeof value === 'object';
+    default:
+      return true;
+  }
+}
+
+function validateFields(payload, fields) {
+  const errors = [];
+  Object.entries(fields).forEach(([field, spec]) => {
+    const optional = spec.endsWith('?');
+    const type = optional ? spec.slice(0, -1) : spec;
+    const value = payload[field];
+
+    if (value === undefined || value === null) {
+      if (!optional) errors.push(`missing field "${field}"`);
+      return;
+    }
+    if (!checkFieldType(value, type)) {
+      errors.push(`field "${field}" must be ${type}`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Validate and normalize a notification payload.
+ * Returns { ok, notification, errors }; unknown types pass with only the envelope checked.
+ */
+function validateNotification(payload) {
+  if (payload === null || typeof payload !== 'object' || Array.isArray(payload)) {
+    return { ok: false, notification: null, errors: ['payload must be an object'] };
+  }
+
+  const envelopeErrors = validateFields(payload, NOTIFICATION_ENVELOPE_FIELDS);
+  if (envelopeErrors.length) {
+    return { ok: false, notification: null, errors: envelopeErrors };
+  }
+
+  // Payloads sent before versioning was introduced are treated as version 1
+  const notification = { ...payload, version: payload.version ?? 1 };
+  const versions = NOTIFICATION_SCHEMAS[notification.type];
+
+  if (!versions) {
+    console.warn(`⚠️ [NOTIFICATION_SCHEMA] Unknown notification type "${notification.type}", handling generically`);
+    return { ok: true, notification, errors: [] };
+  }
+
+  const schema = versions[notification.version];
+  if (!schema) {
+    return { ok: false, notification: null, errors: [`unsupported ${notification.type} version ${notification.version}`] };
+  }
+
+  Object.entries(schema.aliases || {}).forEach(([legacyField, field]) => {
+    if (notification[legacyField] !== undefined) {
+      if (notification[field] === undefined) {
+        notification[field] = notification[legacyField];
+      }
+      delete notification[legacyField];
+    }
+  });
+
+  const errors = validateFields(notification, schema.fields);
+  return { ok: errors.length === 0, notification: errors.length ? null : notification, errors };
+}
+
+// ========== DEAD LETTERS ==========
+
+function getDeadLetters() {
+  try {
+    return JSON.parse(localStorage.getItem(NOTIFICATION_DEAD_LETTER_KEY) || '[]');
+  } catch (error) {
+    console.warn('⚠️ [NOTIFICATION_SCHEMA] Failed to read dead letters:', error);
+    return [];
+  }
+}
+
+/**
+ * Keep the most recent malformed notifications for inspection
+ */
+function recordDeadLetter(payload, errors) {
+  let serialized;
+  try {
+    serialized = JSON.stringify(payload);
+  } catch (error) {
+    serialized = String(payload);
+  }
+
+  const deadLetters = getDeadLetters();
+  deadLetters.push({
+    received_at: new Date().toISOString(),
+    type: typeof payload?.type === 'string' ? payload.type : null,
+    errors,
+    payload: serialized.slice(0, DEAD_LETTER_PAYLOAD_MAX_CHARS)
+  });
+
+  try {
+    localStorage.setItem(NOTIFICATION_DEAD_LETTER_KEY, JSON.stringify(deadLetters.slice(-MAX_DEAD_LETTERS)));
+  } catch (error) {
+    console.warn('⚠️ [NOTIFICATION_SCHEMA] Failed to persist dead letter:', error);
+  }
+}
+
+function clearDeadLetters() {
+  localStorage.removeItem(NOTIFICATION_DEAD_LETTER_KEY);
+}
+
 // ========== NOTIFICATION ENDPOINT ==========
 
 /**
@@ -16,17 +254,19 @@ function handleNotificationEndpoint(notificationData) {
   try {
     console.log('📢 [NOTIFICATION_ENDPOINT] Received notification:', notificationData);
     
-    // Validate notification structure
-    if (!notificationData.type || !notificationData.message) {
-      console.error('❌ [NOTIFICATION_ENDPOINT] Invalid notification structure');
-      return { ok: false, error: 'Invalid notification structure' };
+    // Validate against the per-type schema; malformed payloads go to the dead-letter log
+    const { ok, notification, errors } = validateNotification(notificationData);
+    if (!ok) {
+      console.error('❌ [NOTIFICATION_ENDPOINT] Invalid notification:', errors, notificationData);
+      recordDeadLetter(notificationData, errors);
+      return { ok: false, error: `Invalid notification: ${errors.join(', ')}` };
     }
     
     // Handle the notification using our existing handler
     if (typeof handleBackendNotification === 'function') {
-      handleBackendNotification(notificationData);
+      handleBackendNotification(notification);
     } else if (window.OrchestratorAPI && window.OrchestratorAPI.handleBackendNotification) {
-      window.OrchestratorAPI.handleBackendNotification(notificationData);
+      window.OrchestratorAPI.handleBackendNotification(notification);
     } else {
       console.warn('⚠️ [NOTIFICATION_ENDPOINT] No notification handler available');
     }
@@ -71,13 +311,15 @@ function testNotificationSystem() {
   const sampleNotifications = [
     {
       type: 'WALLET_CREATED',
+      version: 1,
       message: 'Wallet was created successfully',
       user_wallet_id: 'sample_wallet_id',
-      in_app_public_key: 'sample_public_key',
+      distributor_public_key: 'sample_public_key',
       timestamp: new Date().toISOString()
     },
     {
       type: 'BUNDLER_CREATED',
+      version: 1,
       message: 'Bundler created successfully',
       user_wallet_id: 'sample_wallet_id',
       bundler_id: 123,
@@ -85,6 +327,7 @@ function testNotificationSystem() {
     },
     {
       type: 'TOKEN_CREATED',
+      version: 1,
       message: 'Token created successfully',
       user_wallet_id: 'sample_wallet_id',
       token_name: 'Test Token',
@@ -93,10 +336,56 @@ function testNotificationSystem() {
     },
     {
       type: 'BALANCE_UPDATED',
+      version: 1,
       message: 'Balance updated successfully',
       user_wallet_id: 'sample_wallet_id',
       new_balance_sol: '5.123456789',
       timestamp: new Date().toISOString()
+    },
+    {
+      type: 'SELL_COMPLETED',
+      version: 1,
+      message: 'Sold 50% of Test Token',
+      user_wallet_id: 'sample_wallet_id',
+      source: 'bundler',
+      bundler_id: 123,
+      token_name: 'Test Token',
+      sell_percent: 50,
+      timestamp: new Date().toISOString()
+    },
+    {
+      type: 'DEV_WALLET_READY',
+      version: 1,
+      message: 'Developer wallet is ready',
+      user_wallet_id: 'sample_wallet_id',
+      dev_public_key: 'sample_dev_public_key',
+      timestamp: new Date().toISOString()
+    },
+    {
+      type: 'LOW_BALANCE_WARNING',
+      version: 1,
+      message: 'Distributor wallet balance is low',
+      user_wallet_id: 'sample_wallet_id',
+      wallet: 'distributor',
+      balance_sol: '0.01',
+      threshold_sol: '0.05',
+      timestamp: new Date().toISOString()
+    },
+    {
+      // Malformed: missing bundler_id, should land in the dead-letter log
+      type: 'BUNDLER_CREATED',
+      version: 1,
+      message: 'Bundler created successfully',
+      user_wallet_id: 'sample_wallet_id',
+      timestamp: new Date().toISOString()
+    },
+    {
+      // Unknown type: handled generically
+      type: 'SOME_FUTURE_EVENT',
+      version: 1,
+      message: 'A notification type this client does not know yet',
+      user_wallet_id: 'sample_wallet_id',
+      timestamp: new Date().toISOString()
     }
   ];
   
@@ -110,44 +399,212 @@ function testNotificationSystem() {
   });
 }
 
-// ========== WEBSOCKET CONNECTION (FUTURE ENHANCEMENT) ==========
+// ========== SHARED DISPATCH ==========
+
+const MAX_BUFFERED_NOTIFICATIONS = 100;
+
+let notificationHandlersReady = false;
+const bufferedNotifications = [];
 
 /**
- * Set up WebSocket connection for real-time notifications
- * This is a placeholder for future implementation
+ * Entry point for every transport (SSE, WebSocket).
+ * Messages that arrive before the dashboard is ready are buffered and replayed in order.
  */
-function setupWebSocketNotifications() {
-  // This would connect to your backend WebSocket endpoint
-  // For now, we'll just log that it's ready
-  console.log('🔌 [WEBSOCKET] WebSocket notifications ready (placeholder)');
-  
-  /*
-  Example implementation:
-  
-  const ws = new WebSocket('wss://your-backend.com/notifications');
-  
+function receiveNotification(notificationData) {
+  if (!notificationHandlersReady) {
+    if (bufferedNotifications.length >= MAX_BUFFERED_NOTIFICATIONS) {
+      bufferedNotifications.shift();
+    }
+    bufferedNotifications.push(notificationData);
+    return { ok: true, buffered: true };
+  }
+  return handleNotificationEndpoint(notificationData);
+}
+
+/**
+ * Called by the app once its handlers can act on notifications (and with false on disconnect)
+ */
+function setNotificationHandlersReady(ready) {
+  notificationHandlersReady = Boolean(ready);
+  if (!notificationHandlersReady) {
+    bufferedNotifications.length = 0;
+    return;
+  }
+
+  if (bufferedNotifications.length) {
+    console.log(`📢 [NOTIFICATION_ENDPOINT] Replaying ${bufferedNotifications.length} buffered notification(s)`);
+  }
+  while (bufferedNotifications.length) {
+    handleNotificationEndpoint(bufferedNotifications.shift());
+  }
+}
+
+// ========== WEBSOCKET TRANSPORT ==========
+
+const WEBSOCKET_NOTIFICATIONS_PATH = '/api/notifications/ws';
+const WEBSOCKET_HEARTBEAT_INTERVAL_MS = 25000;
+const WEBSOCKET_PONG_TIMEOUT_MS = 10000;
+const WEBSOCKET_RECONNECT_POLICY = { baseDelayMs: 1000, maxDelayMs: 30000 };
+const WEBSOCKET_CONTROL_TYPES = ['pong', 'subscribed', 'error'];
+
+let notificationSocket = null;
+let notificationSocketWalletId = null;
+let socketHeartbeatTimer = null;
+let socketPongTimer = null;
+let socketReconnectTimer = null;
+let socketReconnectAttempts = 0;
+
+function reportSocketState(state) {
+  if (typeof setNotificationConnectionState === 'function') {
+    setNotificationConnectionState(state);
+  }
+}
+
+function getNotificationSocketUrl() {
+  return `${ORCHESTRATOR_BASE_URL.replace(/^http/, 'ws')}${WEBSOCKET_NOTIFICATIONS_PATH}`;
+}
+
+/**
+ * Set up WebSocket connection for real-time notifications, scoped to one user wallet
+ */
+function setupWebSocketNotifications(userWalletId = null) {
+  if (!userWalletId) {
+    console.log('🔌 [WEBSOCKET] WebSocket notifications ready (waiting for wallet)');
+    return;
+  }
+
+  if (typeof WebSocket === 'undefined') {
+    console.warn('⚠️ [WEBSOCKET] WebSocket not supported; live notifications disabled');
+    reportSocketState('disconnected');
+    return;
+  }
+
+  if (notificationSocketWalletId === userWalletId && (notificationSocket || socketReconnectTimer)) {
+    return;
+  }
+
+  teardownWebSocketNotifications();
+  notificationSocketWalletId = userWalletId;
+  openNotificationSocket();
+}
+
+function openNotificationSocket() {
+  const userWalletId = notificationSocketWalletId;
+  if (!userWalletId) return;
+
+  reportSocketState(socketReconnectAttempts > 0 ? 'reconnecting' : 'connecting');
+
+  const ws = new WebSocket(getNotificationSocketUrl());
+  notificationSocket = ws;
+
   ws.onopen = function() {
     console.log('🔌 [WEBSOCKET] Connected to notification stream');
+    socketReconnectAttempts = 0;
+    reportSocketState('connected');
+
+    const lastEventId = typeof getLastNotificationEventId === 'function'
+      ? getLastNotificationEventId(userWalletId)
+      : null;
+    ws.send(JSON.stringify({ type: 'subscribe', user_wallet_id: userWalletId, last_event_id: lastEventId }));
+    startSocketHeartbeat(ws);
   };
-  
+
   ws.onmessage = function(event) {
+    let message;
     try {
-      const notification = JSON.parse(event.data);
-      handleNotificationEndpoint(notification);
+      message = JSON.parse(event.data);
     } catch (error) {
       console.error('❌ [WEBSOCKET] Failed to parse notification:', error);
+      return;
+    }
+
+    if (WEBSOCKET_CONTROL_TYPES.includes(message?.type)) {
+      if (message.type === 'pong') {
+        clearTimeout(socketPongTimer);
+        socketPongTimer = null;
+      } else if (message.type === 'error') {
+        console.error('❌ [WEBSOCKET] Server error:', message);
+      }
+      return;
     }
+
+    const eventId = message?.event_id || message?.id;
+    if (eventId && typeof storeLastNotificationEventId === 'function') {
+      storeLastNotificationEventId(userWalletId, String(eventId));
+    }
+
+    receiveNotification(message);
   };
-  
+
   ws.onerror = function(error) {
     console.error('❌ [WEBSOCKET] Connection error:', error);
   };
-  
-  ws.onclose = function() {
-    console.log('🔌 [WEBSOCKET] Connection closed');
-    // Implement reconnection logic here
+
+  ws.onclose = function(event) {
+    console.log(`🔌 [WEBSOCKET] Connection closed (code ${event.code})`);
+    stopSocketHeartbeat();
+    if (notificationSocket === ws) {
+      notificationSocket = null;
+      scheduleSocketReconnect();
+    }
   };
-  */
+}
+
+/**
+ * Ping on an interval; a missing pong means the connection is dead even if the browser has not noticed
+ */
+function startSocketHeartbeat(ws) {
+  stopSocketHeartbeat();
+  socketHeartbeatTimer = setInterval(() => {
+    if (ws.readyState !== WebSocket.OPEN) return;
+    ws.send(JSON.stringify({ type: 'ping', ts: Date.now() }));
+
+    if (!socketPongTimer) {
+      socketPongTimer = setTimeout(() => {
+        console.warn('⚠️ [WEBSOCKET] Heartbeat timed out, closing connection');
+        ws.close(4000, 'heartbeat timeout');
+      }, WEBSOCKET_PONG_TIMEOUT_MS);
+    }
+  }, WEBSOCKET_HEARTBEAT_INTERVAL_MS);
+}
+
+function stopSocketHeartbeat() {
+  clearInterval(socketHeartbeatTimer);
+  clearTimeout(socketPongTimer);
+  socketHeartbeatTimer = null;
+  socketPongTimer = null;
+}
+
+function scheduleSocketReconnect() {
+  if (!notificationSocketWalletId || socketReconnectTimer) return;
+
+  socketReconnectAttempts += 1;
+  const waitMs = getRetryDelayMs(socketReconnectAttempts, WEBSOCKET_RECONNECT_POLICY);
+  reportSocketState('reconnecting');
+  console.log(`🔁 [WEBSOCKET] Reconnecting in ${waitMs}ms (attempt ${socketReconnectAttempts})`);
+
+  socketReconnectTimer = setTimeout(() => {
+    socketReconnectTimer = null;
+    openNotificationSocket();
+  }, waitMs);
+}
+
+/**
+ * Close the WebSocket transport (e.g. on wallet disconnect)
+ */
+function teardownWebSocketNotifications() {
+  clearTimeout(socketReconnectTimer);
+  socketReconnectTimer = null;
+  stopSocketHeartbeat();
+
+  if (notificationSocket) {
+    const ws = notificationSocket;
+    notificationSocket = null;
+    ws.close(1000, 'client disconnect');
+  }
+  notificationSocketWalletId = null;
+  socketReconnectAttempts = 0;
+  reportSocketState('idle');
 }
 
 // ========== INITIALIZATION ==========
@@ -166,9 +623,15 @@ if (document.readyState === 'loading') {
 // Make functions globally available for testing
 window.NotificationSystem = {
   handleNotificationEndpoint,
+  validateNotification,
+  getDeadLetters,
+  clearDeadLetters,
   testNotificationSystem,
   setupMockNotificationServer,
-  setupWebSocketNotifications
+  setupWebSocketNotifications,
+  teardownWebSocketNotifications,
+  receiveNotification,
+  setNotificationHandlersReady
 };
 
 console.log('📢 Notification system loaded successfully');
@@ -19,6 +19,34 @@ function getBundlerTimeoutMs(bundlerBalance) {
   return Math.ceil(parsedBalance) * 150000;
 }
 
+// ========== RETRY POLICY ==========
+
+const RETRYABLE_STATUS_CODES = [500, 502, 503, 504];
+
+const DEFAULT_RETRY_POLICY = {
+  mode: 'never', // 'always' | 'idempotent' (only with idempotency_key) | 'never'
+  maxAttempts: 4,
+  baseDelayMs: 2000,
+  maxDelayMs: 20000,
+  maxElapsedMs: 5 * 60 * 1000 // no new attempt starts after this much total time
+};
+
+const ENDPOINT_RETRY_POLICIES = {
+  // Read-only: always safe to replay
+  '/api/orchestrator/verify-in-app-sol-balance': { mode: 'always' },
+  '/api/orchestrator/verify-dev-wallet-balance': { mode: 'always' },
+
+  // Mutating: replayed only when an idempotency key is attached
+  '/api/orchestrator/create-wallet-in-app': { mode: 'idempotent' },
+  // Submitted as a polled job, but a synchronous backend holds each attempt for up to balance × 150 s
+  '/api/orchestrator/create-bundler': { mode: 'idempotent', maxAttempts: 2 },
+  '/api/orchestrator/retry-bundler-step': { mode: 'idempotent' },
+  '/api/orchestrator/create-and-buy-token-pumpFun': { mode: 'idempotent' },
+  '/api/orchestrator/sell-created-token': { mode: 'idempotent' },
+  '/api/orchestrator/sell-spl-from-wallet': { mode: 'idempotent' },
+  '/api/orchestrator/transfer-to-owner-wallet': { mode: 'idempotent' }
+};
+
 /**
  * Verify developer wallet balances (SOL + SPL)
  */
@@ -47,7 +75,6 @@ async function verifyDevWalletBalance(userWalletId) {
 
   } catch (error) {
     handleOrchestratorError(error, 'verify developer wallet balance');
-    return null;
   } finally {
     showLoadingOverlay(false);
   }
@@ -56,7 +83,7 @@ async function verifyDevWalletBalance(userWalletId) {
 /**
  * Sell tokens created via bundler (batch child wallets)
  */
-async function sellCreatedToken(userWalletId, sellPercent) {
+async function sellCreatedToken(userWalletId, sellPercent, idempotencyKey = null) {
   try {
     if (!userWalletId) {
       throw new Error('User wallet ID is required to sell created token');
@@ -67,6 +94,10 @@ async function sellCreatedToken(userWalletId, sellPercent) {
       sell_percent: sellPercent
     };
 
+    if (idempotencyKey) {
+      requestData.idempotency_key = idempotencyKey;
+    }
+
     console.log('📡 [ORCHESTRATOR] sellCreatedToken payload:', requestData);
 
     const response = await makeOrchestratorRequest(
@@ -83,20 +114,86 @@ async function sellCreatedToken(userWalletId, sellPercent) {
     return response;
   } catch (error) {
     handleOrchestratorError(error, 'sell created token');
-    return null;
   }
 }
 
 // ========== UTILITY FUNCTIONS ==========
 
 /**
- * Make HTTP request to orchestrator API
+ * Resolve the retry policy for an endpoint.
+ * Unlisted GET endpoints are treated as read-only; anything else is not retried.
+ */
+function getRetryPolicy(endpoint, method = 'POST') {
+  const configured = ENDPOINT_RETRY_POLICIES[endpoint];
+  if (configured) {
+    return { ...DEFAULT_RETRY_POLICY, ...configured };
+  }
+  return { ...DEFAULT_RETRY_POLICY, mode: method === 'GET' ? 'always' : 'never' };
+}
+
+/**
+ * Mutating calls are only replayed when the backend can deduplicate them
+ */
+function canRetryRequest(policy, data) {
+  if (policy.mode === 'always') return true;
+  if (policy.mode === 'idempotent') return Boolean(data?.idempotency_key);
+  return false;
+}
+
+/**
+ * Exponential backoff with full jitter: random delay in [0, min(max, base * 2^(attempt - 1))]
+ */
+function getRetryDelayMs(attempt, policy = DEFAULT_RETRY_POLICY) {
+  const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * Math.pow(2, attempt - 1));
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Timeouts, network failures and 5xx responses (including render.com cold-start 502s) are transient
+ */
+function isRetryableOrchestratorError(error) {
+  if (!error) return false;
+  if (error.name === 'AbortError') return true;
+  if (error.name === 'TypeError') return true;
+  return typeof error.status === 'number' && RETRYABLE_STATUS_CODES.includes(error.status);
+}
+
+/**
+ * Make HTTP request to orchestrator API, retrying transient failures per endpoint policy.
+ * Retries stop after maxAttempts or once maxElapsedMs has passed, whichever comes first.
  */
 async function makeOrchestratorRequest(endpoint, method = 'POST', data = null, timeout = API_TIMEOUT) {
+  const policy = getRetryPolicy(endpoint, method);
+  const maxAttempts = canRetryRequest(policy, data) ? policy.maxAttempts : 1;
+  const startedAt = Date.now();
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await sendOrchestratorRequest(endpoint, method, data, timeout);
+    } catch (error) {
+      const retryable = isRetryableOrchestratorError(error);
+      const waitMs = getRetryDelayMs(attempt, policy);
+      const outOfTime = Date.now() - startedAt + waitMs >= policy.maxElapsedMs;
+
+      if (!retryable || attempt >= maxAttempts || outOfTime) {
+        throw normalizeOrchestratorError(error, endpoint, retryable);
+      }
+
+      console.warn(`🔁 [ORCHESTRATOR] Attempt ${attempt}/${maxAttempts} for ${endpoint} failed (${error.status || error.name}). Retrying in ${waitMs}ms...`);
+      await new Promise((resolve) => setTimeout(resolve, waitMs));
+    }
+  }
+}
+
+/**
+ * Perform a single HTTP attempt against the orchestrator.
+ * Thrown errors carry `status` when the server answered.
+ */
+async function sendOrchestratorRequest(endpoint, method, data, timeout) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+
   try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), timeout);
-    
     const fullUrl = `${ORCHESTRATOR_BASE_URL}${endpoint}`;
     
     const config = {
@@ -119,7 +216,6 @@ async function makeOrchestratorRequest(endpoint, method = 'POST', data = null, t
     console.log(`📡 [ORCHESTRATOR] Request data:`, data);
     
     const response = await fetch(fullUrl, config);
-    clearTimeout(timeoutId);
     
     console.log(`📡 [ORCHESTRATOR] Response status: ${response.status} ${response.statusText}`);
     console.log(`📡 [ORCHESTRATOR] Response headers:`, Object.fromEntries(response.headers.entries()));
@@ -129,7 +225,9 @@ async function makeOrchestratorRequest(endpoint, method = 'POST', data = null, t
     if (!contentType || !contentType.includes('application/json')) {
       const textResponse = await response.text();
       console.error(`❌ [ORCHESTRATOR] Non-JSON response:`, textResponse);
-      throw new Error(`Server returned non-JSON response: ${textResponse.substring(0, 200)}`);
+      const nonJsonError = new Error(`Server returned non-JSON response: ${textResponse.substring(0, 200)}`);
+      nonJsonError.status = response.status;
+      throw nonJsonError;
     }
     
     const responseData = await response.json();
@@ -137,41 +235,56 @@ async function makeOrchestratorRequest(endpoint, method = 'POST', data = null, t
     
     if (!response.ok) {
       const errorMessage = responseData.error?.message || responseData.message || `HTTP ${response.status}: ${response.statusText}`;
-      throw new Error(errorMessage);
+      const httpError = new Error(errorMessage);
+      httpError.status = response.status;
+      throw httpError;
     }
     
     console.log(`✅ [ORCHESTRATOR] Request successful:`, responseData);
     return responseData;
-    
-  } catch (error) {
-    console.error(`❌ [ORCHESTRATOR] Request failed for ${endpoint}:`, error);
-    console.error(`❌ [ORCHESTRATOR] Error type:`, error.name);
-    console.error(`❌ [ORCHESTRATOR] Error message:`, error.message);
-    
-    if (error.name === 'AbortError') {
-      throw new Error('Request timed out. Please try again.');
-    }
-    
-    if (error.name === 'TypeError' && error.message.includes('fetch')) {
-      console.error('🚨 [ORCHESTRATOR] Potential CORS issue detected!');
-      console.error('🚨 [ORCHESTRATOR] Error details:', {
-        name: error.name,
-        message: error.message,
-        stack: error.stack
-      });
-      console.error('🔧 [ORCHESTRATOR] To fix CORS, your backend needs these headers:');
-      console.error('   Access-Control-Allow-Origin: *');
-      console.error('   Access-Control-Allow-Methods: GET, POST, PUT, DELETE, OPTIONS');
-      console.error('   Access-Control-Allow-Headers: Content-Type, Accept');
-      throw new Error('CORS error: Backend is not allowing requests from this domain. Check backend CORS configuration.');
-    }
-    
-    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Convert a failed attempt into the error surfaced to callers.
+ * `retryable` tells callers the outcome of a mutating call is unknown.
+ */
+function normalizeOrchestratorError(error, endpoint, retryable) {
+  console.error(`❌ [ORCHESTRATOR] Request failed for ${endpoint}:`, error);
+  console.error(`❌ [ORCHESTRATOR] Error type:`, error.name);
+  console.error(`❌ [ORCHESTRATOR] Error message:`, error.message);
+
+  let normalized = error;
+
+  if (error.name === 'AbortError') {
+    normalized = new Error('Request timed out. Please try again.');
+  } else if (error.name === 'TypeError' && error.message.includes('fetch')) {
+    console.error('🚨 [ORCHESTRATOR] Potential CORS issue detected!');
+    console.error('🚨 [ORCHESTRATOR] Error details:', {
+      name: error.name,
+      message: error.message,
+      stack: error.stack
+    });
+    console.error('🔧 [ORCHESTRATOR] To fix CORS, your backend needs these headers:');
+    console.error('   Access-Control-Allow-Origin: *');
+    console.error('   Access-Control-Allow-Methods: GET, POST, PUT, DELETE, OPTIONS');
+    console.error('   Access-Control-Allow-Headers: Content-Type, Accept');
+    normalized = new Error('CORS error: Backend is not allowing requests from this domain. Check backend CORS configuration.');
   }
+
+  if (typeof error.status === 'number') {
+    normalized.status = error.status;
+  }
+  normalized.retryable = retryable;
+  return normalized;
 }
 
 /**
- * Handle orchestrator API errors consistently
+ * Handle orchestrator API errors consistently: show the error, then rethrow it.
+ * Wrappers never resolve to null on failure, so callers such as runIdempotentAction
+ * see the error's `retryable` flag.
  */
 function handleOrchestratorError(error, operation) {
   console.error(`❌ [ORCHESTRATOR] Error during ${operation}:`, error);
@@ -226,7 +339,6 @@ async function createInAppWallet(userWalletId) {
     
   } catch (error) {
     handleOrchestratorError(error, 'create distributor wallet');
-    return null;
   } finally {
     showLoadingOverlay(false);
   }
@@ -257,7 +369,6 @@ async function verifyInAppBalance(userWalletId) {
     
   } catch (error) {
     handleOrchestratorError(error, 'verify balance');
-    return null;
   }
 }
 
@@ -272,7 +383,8 @@ async function createBundler(userWalletId, bundlerBalance, idempotencyKey = null
     
     const requestData = {
       user_wallet_id: userWalletId,
-      bundler_balance: parseInt(bundlerBalance)
+      bundler_balance: parseInt(bundlerBalance),
+      async: true
     };
     
     if (idempotencyKey) {
@@ -286,30 +398,79 @@ async function createBundler(userWalletId, bundlerBalance, idempotencyKey = null
       getBundlerTimeoutMs(requestData.bundler_balance)
     );
     
+    if (response.job_id) {
+      console.log('🕒 Bundler creation queued as job:', response.job_id);
+      return { jobId: response.job_id, jobStatus: response.status || 'queued' };
+    }
+    
     console.log('✅ Bundler created successfully:', response);
     showSnackbar(`Bundler created with ${response.total_balance_sol} SOL!`, 'success');
     
-    return {
-      bundlerId: response.bundler_id,
-      allocatedMotherWallets: response.allocated_mother_wallets,
-      totalBalanceSol: response.total_balance_sol,
-      message: response.message
-    };
+    return mapBundlerResult(response);
     
   } catch (error) {
     handleOrchestratorError(error, 'create bundler');
-    return null;
   } finally {
     showLoadingOverlay(false);
   }
 }
 
+/**
+ * Map a create-bundler response (or completed job result) to the client shape
+ */
+function mapBundlerResult(response = {}) {
+  return {
+    bundlerId: response.bundler_id,
+    allocatedMotherWallets: response.allocated_mother_wallets,
+    totalBalanceSol: response.total_balance_sol,
+    message: response.message
+  };
+}
+
+/**
+ * Re-run a single failed bundler step (allocation, funding_mother, funding_child, confirmation)
+ */
+async function retryBundlerStep(userWalletId, { jobId, bundlerId, motherWalletId, step }, idempotencyKey = null) {
+  try {
+    const requestData = {
+      user_wallet_id: userWalletId,
+      job_id: jobId,
+      bundler_id: bundlerId,
+      mother_wallet_id: motherWalletId,
+      step
+    };
+
+    if (idempotencyKey) {
+      requestData.idempotency_key = idempotencyKey;
+    }
+
+    const response = await makeOrchestratorRequest('/api/orchestrator/retry-bundler-step', 'POST', requestData);
+
+    console.log('✅ Bundler step retry submitted:', response);
+    showSnackbar('Retry submitted for bundler step.', 'info');
+
+    return response;
+  } catch (error) {
+    handleOrchestratorError(error, 'retry bundler step');
+  }
+}
+
+// ========== JOB OPERATIONS ==========
+
+/**
+ * Fetch the status of a long-running orchestrator job
+ * Response: { job_id, type, status: queued|running|completed|failed, progress, result, error }
+ */
+async function getJobStatus(jobId) {
+  return makeOrchestratorRequest(`/api/orchestrator/jobs/${encodeURIComponent(jobId)}`, 'GET');
+}
+
 // ========== TOKEN OPERATIONS ==========
 
 /**
  * Create and buy token on Pump.fun
  */
-async function createAndBuyToken(userWalletId, tokenData) {
+async function createAndBuyToken(userWalletId, tokenData, idempotencyKey = null) {
   try {
     showLoadingOverlay(true, 'Creating token on Pump.fun...');
     
@@ -324,8 +485,13 @@ async function createAndBuyToken(userWalletId, tokenData) {
       website: tokenData.website || '',
       dev_buy_amount: tokenData.devBuyAmount || '0',
       slippage: tokenData.slippage || 1.0,
-      priority_fee: tokenData.priorityFee || '0.000005'
+      priority_fee: tokenData.priorityFee || '0.000005',
+      async: true
     };
+
+    if (idempotencyKey) {
+      requestData.idempotency_key = idempotencyKey;
+    }
     
     console.log('📡 [TOKEN_API] Final request data being sent:', {
       endpoint: '/api/orchestrator/create-and-buy-token-pumpFun',
@@ -342,6 +508,11 @@ async function createAndBuyToken(userWalletId, tokenData) {
       LONG_API_TIMEOUT
     );
     
+    if (response.job_id) {
+      console.log('🕒 Token launch queued as job:', response.job_id);
+      return { jobId: response.job_id, jobStatus: response.status || 'queued' };
+    }
+    
     console.log('✅ Token created and purchased successfully:', response);
     showSnackbar(`Token "${tokenData.name}" created successfully!`, 'success');
     
@@ -354,7 +525,6 @@ async function createAndBuyToken(userWalletId, tokenData) {
       throw devWalletError;
     }
     handleOrchestratorError(error, 'create and buy token');
-    return null;
   } finally {
     showLoadingOverlay(false);
   }
@@ -363,14 +533,20 @@ async function createAndBuyToken(userWalletId, tokenData) {
 /**
  * Sell created token
  */
-async function sellToken(userWalletId, sellPercent) {
+async function sellToken(userWalletId, sellPercent, idempotencyKey = null) {
   try {
     showLoadingOverlay(true, `Selling ${sellPercent}% of tokens...`);
     
-    const response = await makeOrchestratorRequest('/api/orchestrator/sell-created-token', 'POST', {
+    const requestData = {
       user_wallet_id: userWalletId,
       sell_percent: sellPercent
-    });
+    };
+
+    if (idempotencyKey) {
+      requestData.idempotency_key = idempotencyKey;
+    }
+
+    const response = await makeOrchestratorRequest('/api/orchestrator/sell-created-token', 'POST', requestData);
     
     console.log('✅ Token sold successfully:', response);
     showSnackbar(`Successfully sold ${sellPercent}% of tokens!`, 'success');
@@ -379,7 +555,6 @@ async function sellToken(userWalletId, sellPercent) {
     
   } catch (error) {
     handleOrchestratorError(error, 'sell token');
-    return null;
   } finally {
     showLoadingOverlay(false);
   }
@@ -407,6 +582,10 @@ async function sellSplFromWallet(userWalletId, sellPercent, options = {}) {
     if (options.walletType && ['developer', 'distributor'].includes(options.walletType)) {
       requestData.wallet_type = options.walletType;
     }
+
+    if (options.idempotencyKey) {
+      requestData.idempotency_key = options.idempotencyKey;
+    }
     
     console.log('📡 [ORCHESTRATOR] Making request with data:', requestData);
     
@@ -420,7 +599,6 @@ async function sellSplFromWallet(userWalletId, sellPercent, options = {}) {
   } catch (error) {
     console.error('❌ [ORCHESTRATOR] Error in sellSplFromWallet:', error);
     handleOrchestratorError(error, 'sell SPL tokens from wallet');
-    return null;
   } finally {
     showLoadingOverlay(false);
   }
@@ -431,14 +609,20 @@ async function sellSplFromWallet(userWalletId, sellPercent, options = {}) {
 /**
  * Transfer SOL to owner wallet
  */
-async function transferToOwner(userWalletId, amountSol) {
+async function transferToOwner(userWalletId, amountSol, idempotencyKey = null) {
   try {
     showLoadingOverlay(true, `Transferring ${amountSol} SOL to your wallet...`);
     
-    const response = await makeOrchestratorRequest('/api/orchestrator/transfer-to-owner-wallet', 'POST', {
+    const requestData = {
       user_wallet_id: userWalletId,
       amount_sol: amountSol.toString()
-    });
+    };
+
+    if (idempotencyKey) {
+      requestData.idempotency_key = idempotencyKey;
+    }
+
+    const response = await makeOrchestratorRequest('/api/orchestrator/transfer-to-owner-wallet', 'POST', requestData);
     
     console.log('✅ Transfer completed successfully:', response);
     showSnackbar(`Successfully transferred ${amountSol} SOL to your wallet!`, 'success');
@@ -447,7 +631,6 @@ async function transferToOwner(userWalletId, amountSol) {
     
   } catch (error) {
     handleOrchestratorError(error, 'transfer to owner');
-    return null;
   } finally {
     showLoadingOverlay(false);
   }
@@ -455,6 +638,25 @@ async function transferToOwner(userWalletId, amountSol) {
 
 // ========== NOTIFICATION HANDLING ==========
 
+/**
+ * True when a notification targets the connected user. `currentUser` is a
+ * script-level binding in script.js, so it is not reachable through window.
+ */
+function isNotificationForCurrentUser(userWalletId) {
+  const activeUser = typeof currentUser !== 'undefined' ? currentUser : null;
+  return Boolean(activeUser) && (!userWalletId || activeUser.user_wallet_id === userWalletId);
+}
+
+/**
+ * Call a dashboard refresher from script.js by name, if it is loaded
+ */
+function refreshDashboardSection(refresherName) {
+  const refresh = window[refresherName];
+  if (typeof refresh === 'function') {
+    refresh();
+  }
+}
+
 /**
  * Handle incoming notifications from backend
  */
@@ -463,6 +665,11 @@ function handleBackendNotification(notification) {
   
   const { type, message, user_wallet_id } = notification;
   
+  // Keep a persistent copy in the notification center inbox
+  if (typeof recordNotification === 'function') {
+    recordNotification(notification);
+  }
+  
   switch (type) {
     case 'WALLET_CREATED':
       console.log('✅ [NOTIFICATION] Wallet creation notification:', {
@@ -473,31 +680,89 @@ function handleBackendNotification(notification) {
       showSnackbar('Distributor wallet created successfully!', 'success');
       
       // Refresh user data if this is for current user
-      if (window.currentUser && window.currentUser.user_wallet_id === user_wallet_id) {
-        if (typeof refreshUserData === 'function') {
-          refreshUserData();
-        }
+      if (isNotificationForCurrentUser(user_wallet_id)) {
+        refreshDashboardSection('refreshUserData');
       }
       break;
       
     case 'BUNDLER_CREATED':
       showSnackbar('Bundler created successfully!', 'success');
-      if (typeof loadBundlers === 'function') {
-        loadBundlers();
-      }
+      refreshDashboardSection('loadBundlers');
+      break;
+      
+    case 'BUNDLER_FAILED':
+      showSnackbar(message || `Bundler creation failed: ${notification.error}`, 'error');
+      refreshDashboardSection('loadBundlers');
       break;
       
     case 'TOKEN_CREATED':
       showSnackbar(`Token "${notification.token_name}" created successfully!`, 'success');
-      if (typeof loadTokens === 'function') {
-        loadTokens();
+      refreshDashboardSection('loadTokens');
+      break;
+      
+    case 'TOKEN_LAUNCH_FAILED':
+      showSnackbar(message || `Token launch${notification.token_name ? ` for "${notification.token_name}"` : ''} failed: ${notification.error}`, 'error');
+      refreshDashboardSection('loadTokens');
+      break;
+      
+    case 'SELL_COMPLETED':
+    case 'SELL_FAILED': {
+      const succeeded = type === 'SELL_COMPLETED';
+      const tokenLabel = notification.token_name || 'tokens';
+      const fallbackMessage = succeeded
+        ? `Sell of ${tokenLabel} completed`
+        : `Sell of ${tokenLabel} failed: ${notification.error}`;
+      showSnackbar(message || fallbackMessage, succeeded ? 'success' : 'error');
+      
+      // Bundler sells change bundler balances; distributor and dev sells change the user's balances
+      if (notification.source === 'bundler' || notification.bundler_id) {
+        refreshDashboardSection('loadBundlers');
+      } else if (isNotificationForCurrentUser(user_wallet_id)) {
+        refreshDashboardSection('refreshUserData');
+      }
+      break;
+    }
+      
+    case 'TRANSFER_COMPLETED':
+      showSnackbar(message || `Transferred ${notification.amount_sol} SOL to your wallet`, 'success');
+      if (isNotificationForCurrentUser(user_wallet_id)) {
+        refreshDashboardSection('refreshUserData');
+      }
+      break;
+      
+    case 'DEV_WALLET_READY':
+      showSnackbar(message || 'Developer wallet is ready for token creation!', 'success');
+      if (isNotificationForCurrentUser(user_wallet_id) && typeof updateDevWalletStatus === 'function') {
+        // Resolves readiness immediately and stops the fallback polling loop
+        updateDevWalletStatus({ dev_public_key: notification.dev_public_key, dev_wallet_status: 'ready' });
+      }
+      break;
+      
+    case 'LOW_BALANCE_WARNING':
+      showSnackbar(message || `Low balance on ${notification.wallet} wallet: ${notification.balance_sol} SOL`, 'warning');
+      if (isNotificationForCurrentUser(user_wallet_id)) {
+        refreshDashboardSection('refreshUserData');
+      }
+      break;
+      
+    case 'JOB_UPDATED':
+      // Job progress is surfaced by the job handlers; no snackbar here
+      if (window.JobTracker) {
+        window.JobTracker.applyJobUpdate(notification);
+      }
+      break;
+      
+    case 'BUNDLER_PROGRESS':
+      // Step-level events feed the bundler progress modal
+      if (typeof applyBundlerStepEvent === 'function') {
+        applyBundlerStepEvent(notification);
       }
       break;
       
     case 'BALANCE_UPDATED':
       showSnackbar('Distributor wallet balance updated successfully!', 'success');
-      if (typeof updateWalletBalance === 'function') {
-        updateWalletBalance();
+      if (isNotificationForCurrentUser(user_wallet_id)) {
+        refreshDashboardSection('refreshUserData');
       }
       break;
       
@@ -506,31 +771,143 @@ function handleBackendNotification(notification) {
   }
 }
 
+// ========== NOTIFICATION STREAM (SSE) ==========
+
+const NOTIFICATION_STREAM_PATH = '/api/notifications/stream';
+const NOTIFICATION_LAST_EVENT_ID_KEY = 'solanafied-notification-last-event-id';
+const NOTIFICATION_RECONNECT_POLICY = { baseDelayMs: 1000, maxDelayMs: 30000 };
+
+let notificationStream = null;
+let notificationStreamWalletId = null;
+let notificationReconnectTimer = null;
+let notificationReconnectAttempts = 0;
+
+function reportNotificationConnectionState(state) {
+  if (typeof setNotificationConnectionState === 'function') {
+    setNotificationConnectionState(state);
+  }
+}
+
+function getLastNotificationEventId(userWalletId) {
+  try {
+    return localStorage.getItem(`${NOTIFICATION_LAST_EVENT_ID_KEY}:${userWalletId}`);
+  } catch (error) {
+    return null;
+  }
+}
+
+function storeLastNotificationEventId(userWalletId, eventId) {
+  try {
+    localStorage.setItem(`${NOTIFICATION_LAST_EVENT_ID_KEY}:${userWalletId}`, eventId);
+  } catch (error) {
+    console.warn('⚠️ [NOTIFICATION] Failed to persist last event id:', error);
+  }
+}
+
 /**
- * Set up notification listener (for Server-Sent Events or WebSocket)
+ * Set up the Server-Sent Events notification stream for a user wallet
  */
-function setupNotificationListener() {
-  // This would be implemented based on your notification system
-  // For now, we'll just log that it's ready
-  console.log('📡 [NOTIFICATION] Notification listener ready');
-  
-  // Example implementation for Server-Sent Events:
-  /*
-  const eventSource = new EventSource(`${ORCHESTRATOR_BASE_URL}/api/notifications/stream`);
-  
+function setupNotificationListener(userWalletId = null) {
+  if (!userWalletId) {
+    console.log('📡 [NOTIFICATION] Notification listener ready (waiting for wallet)');
+    return;
+  }
+
+  if (typeof EventSource === 'undefined') {
+    console.warn('⚠️ [NOTIFICATION] EventSource not supported; live notifications disabled');
+    reportNotificationConnectionState('disconnected');
+    return;
+  }
+
+  if (notificationStreamWalletId === userWalletId && (notificationStream || notificationReconnectTimer)) {
+    return;
+  }
+
+  teardownNotificationListener();
+  notificationStreamWalletId = userWalletId;
+  openNotificationStream();
+}
+
+function openNotificationStream() {
+  const userWalletId = notificationStreamWalletId;
+  if (!userWalletId) return;
+
+  // EventSource cannot set headers on a fresh connection, so the resume point travels as a query param
+  const params = new URLSearchParams({ user_wallet_id: userWalletId });
+  const lastEventId = getLastNotificationEventId(userWalletId);
+  if (lastEventId) {
+    params.set('last_event_id', lastEventId);
+  }
+
+  reportNotificationConnectionState(notificationReconnectAttempts > 0 ? 'reconnecting' : 'connecting');
+  console.log('📡 [NOTIFICATION] Opening notification stream', { userWalletId, lastEventId });
+
+  const eventSource = new EventSource(`${ORCHESTRATOR_BASE_URL}${NOTIFICATION_STREAM_PATH}?${params.toString()}`);
+  notificationStream = eventSource;
+
+  eventSource.onopen = function() {
+    notificationReconnectAttempts = 0;
+    reportNotificationConnectionState('connected');
+    console.log('✅ [NOTIFICATION] Notification stream connected');
+  };
+
   eventSource.onmessage = function(event) {
+    if (event.lastEventId) {
+      storeLastNotificationEventId(userWalletId, event.lastEventId);
+    }
+
     try {
       const notification = JSON.parse(event.data);
-      handleBackendNotification(notification);
+      if (window.NotificationSystem) {
+        NotificationSystem.receiveNotification(notification);
+      } else {
+        handleBackendNotification(notification);
+      }
     } catch (error) {
-      console.error('Failed to parse notification:', error);
+      console.error('❌ [NOTIFICATION] Failed to parse notification:', error);
     }
   };
-  
+
   eventSource.onerror = function(error) {
-    console.error('Notification stream error:', error);
+    console.error('❌ [NOTIFICATION] Notification stream error:', error);
+    // The browser gives up for good on HTTP errors, so reconnection is driven here with backoff
+    eventSource.close();
+    if (notificationStream === eventSource) {
+      notificationStream = null;
+      scheduleNotificationReconnect();
+    }
   };
-  */
+}
+
+function scheduleNotificationReconnect() {
+  if (!notificationStreamWalletId || notificationReconnectTimer) return;
+
+  notificationReconnectAttempts += 1;
+  const waitMs = getRetryDelayMs(notificationReconnectAttempts, NOTIFICATION_RECONNECT_POLICY);
+  reportNotificationConnectionState('reconnecting');
+  console.log(`🔁 [NOTIFICATION] Reconnecting in ${waitMs}ms (attempt ${notificationReconnectAttempts})`);
+
+  notificationReconnectTimer = setTimeout(() => {
+    notificationReconnectTimer = null;
+    openNotificationStream();
+  }, waitMs);
+}
+
+/**
+ * Close the notification stream (e.g. on wallet disconnect)
+ */
+function teardownNotificationListener() {
+  if (notificationReconnectTimer) {
+    clearTimeout(notificationReconnectTimer);
+    notificationReconnectTimer = null;
+  }
+  if (notificationStream) {
+    notificationStream.close();
+    notificationStream = null;
+  }
+  notificationStreamWalletId = null;
+  notificationReconnectAttempts = 0;
+  reportNotificationConnectionState('idle');
 }
 
 // ========== EXPORT FOR GLOBAL ACCESS ==========
@@ -544,6 +921,11 @@ window.OrchestratorAPI = {
 
   // Bundler operations
   createBundler,
+  mapBundlerResult,
+  retryBundlerStep,
+  
+  // Job operations
+  getJobStatus,
   
   // Token operations
   createAndBuyToken,
@@ -557,9 +939,12 @@ window.OrchestratorAPI = {
   // Notification handling
   handleBackendNotification,
   setupNotificationListener,
+  teardownNotificationListener,
   
   // Utility
   makeOrchestratorRequest,
+  getRetryPolicy,
+  getRetryDelayMs,
   
   // Debug utilities
   testOrchestratorConnectivity
@@ -645,7 +1030,7 @@ testOrchestratorConnectivity();
 
 // Auto-setup notification listener when DOM is ready
 if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', setupNotificationListener);
+  document.addEventListener('DOMContentLoaded', () => setupNotificationListener());
 } else {
   setupNotificationListener();
 }
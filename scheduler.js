@@ -0,0 +1,447 @@
+/**
+ * SOLANAFIED - SCHEDULED TOKEN LAUNCHES
+ *
+ * A launch can be prepared now and fired later. The prepared orchestrator payload
+ * (logo included as base64) is stored in IndexedDB with its idempotency key, so a
+ * reload re-arms the timers and a launch interrupted mid-request is retried
+ * without launching twice. Pre-launch checks run LAUNCH_PRECHECK_LEAD_MS before
+ * the launch time and again just before firing.
+ *
+ * The clock, the store and the orchestrator are injectable: testLaunchScheduler()
+ * runs the whole flow against a fake clock, an in-memory store and a local
+ * orchestrator stub. Launches only fire while the app is open.
+ */
+
+// ========== SCHEDULER CONFIGURATION ==========
+
+const SCHEDULED_LAUNCH_STORE = 'scheduled_launches';
+const LAUNCH_PRECHECK_LEAD_MS = 5 * 60 * 1000;
+const LAUNCH_MIN_LEAD_MS = 60 * 1000;
+const LAUNCH_MISSED_GRACE_MS = 10 * 60 * 1000; // fire late launches up to 10 minutes after their time
+const LAUNCH_MAX_TIMER_MS = 24 * 60 * 60 * 1000; // re-arm daily; setTimeout overflows past ~24.8 days
+const LAUNCH_ARMED_STATUSES = ['scheduled', 'ready', 'blocked'];
+
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (callback, delayMs) => setTimeout(callback, delayMs),
+  clearTimeout: (timer) => clearTimeout(timer)
+};
+
+const localLaunchStore = {
+  put: (launch) => DatabaseAPI.putLocalRecord(SCHEDULED_LAUNCH_STORE, launch),
+  list: (userWalletId) => DatabaseAPI.getLocalRecords(SCHEDULED_LAUNCH_STORE, 'user_wallet_id', userWalletId),
+  remove: (launchId) => DatabaseAPI.deleteLocalRecord(SCHEDULED_LAUNCH_STORE, launchId)
+};
+
+// orchestrator: null means window.OrchestratorAPI, looked up when a launch fires
+let schedulerDeps = { clock: systemClock, store: localLaunchStore, orchestrator: null };
+
+const launchHandlers = {};
+const launchTimers = new Map();
+const scheduledLaunches = new Map(); // launches of the active wallet, by id
+let activeLaunchWalletId = null;
+
+// ========== DEPENDENCIES & HANDLERS ==========
+
+/**
+ * Swap the clock, store or orchestrator. Returns the previous dependencies so they can be restored.
+ */
+function configureLaunchScheduler(overrides = {}) {
+  const previous = schedulerDeps;
+  schedulerDeps = { ...schedulerDeps, ...overrides };
+  return previous;
+}
+
+/**
+ * handlers: { runPreLaunchChecks(launch) -> problems[], onChange(launches), onLaunched(launch, response), onFailed(launch) }
+ */
+function registerLaunchHandlers(handlers) {
+  Object.assign(launchHandlers, handlers);
+}
+
+function getLaunchOrchestrator() {
+  return schedulerDeps.orchestrator || window.OrchestratorAPI;
+}
+
+function getScheduledLaunches() {
+  return [...scheduledLaunches.values()].sort((a, b) => a.launch_at - b.launch_at);
+}
+
+function notifyLaunchesChanged() {
+  try {
+    launchHandlers.onChange?.(getScheduledLaunches());
+  } catch (error) {
+    console.error('❌ [SCHEDULER] onChange handler failed:', error);
+  }
+}
+
+async function persistLaunch(launch) {
+  scheduledLaunches.set(launch.id, launch);
+  await schedulerDeps.store.put(launch);
+  notifyLaunchesChanged();
+}
+
+// ========== SCHEDULING ==========
+
+/**
+ * Store a prepared launch and arm its timers. The payload is what createAndBuyToken expects.
+ */
+async function scheduleLaunch({ userWalletId, launchAt, payload, idempotencyKey }) {
+  const launchTime = new Date(launchAt).getTime();
+  if (Number.isNaN(launchTime)) {
+    throw new Error('Launch time is not a valid date');
+  }
+  if (launchTime - schedulerDeps.clock.now() < LAUNCH_MIN_LEAD_MS) {
+    throw new Error('Launch time must be at least a minute from now');
+  }
+
+  const launch = {
+    id: idempotencyKey,
+    user_wallet_id: userWalletId,
+    launch_at: launchTime,
+    payload,
+    idempotency_key: idempotencyKey,
+    status: 'scheduled',
+    problems: [],
+    error: null,
+    created_at: schedulerDeps.clock.now()
+  };
+
+  await persistLaunch(launch);
+  armLaunch(launch);
+  console.log(`🗓️ [SCHEDULER] Launch of "${payload.name}" scheduled for ${new Date(launchTime).toISOString()}`);
+  return launch;
+}
+
+async function cancelScheduledLaunch(launchId) {
+  const launch = scheduledLaunches.get(launchId);
+  if (!launch) return false;
+  if (launch.status === 'launching') {
+    throw new Error('This launch is already being submitted');
+  }
+
+  disarmLaunch(launchId);
+  scheduledLaunches.delete(launchId);
+  await schedulerDeps.store.remove(launchId);
+  notifyLaunchesChanged();
+  return true;
+}
+
+/**
+ * Fire a failed launch again now. It keeps its idempotency key, so a launch whose
+ * first attempt did reach the orchestrator is not created twice.
+ */
+async function retryScheduledLaunch(launchId) {
+  const launch = scheduledLaunches.get(launchId);
+  if (!launch || launch.status !== 'failed') return;
+
+  await fireLaunch(launch, { force: true });
+}
+
+/**
+ * Load the wallet's stored launches and re-arm them after a reload or wallet switch.
+ * Already armed for this wallet: nothing is reloaded, so in-flight launches are not fired twice.
+ */
+async function resumeScheduledLaunches(userWalletId) {
+  if (activeLaunchWalletId === userWalletId) {
+    notifyLaunchesChanged();
+    return getScheduledLaunches();
+  }
+  stopLaunchScheduler();
+  activeLaunchWalletId = userWalletId;
+
+  const launches = await schedulerDeps.store.list(userWalletId);
+  launches.forEach((launch) => scheduledLaunches.set(launch.id, launch));
+  notifyLaunchesChanged();
+
+  if (launches.length) {
+    console.log(`🗓️ [SCHEDULER] Resuming ${launches.length} scheduled launch(es)`);
+  }
+  // A reload while the request was in flight: fire again under the same key
+  launches.filter((launch) => launch.status === 'launching').forEach((launch) => fireLaunch(launch, { force: true }));
+  launches.forEach(armLaunch);
+  return getScheduledLaunches();
+}
+
+function stopLaunchScheduler() {
+  launchTimers.forEach((timer) => schedulerDeps.clock.clearTimeout(timer));
+  launchTimers.clear();
+  scheduledLaunches.clear();
+  activeLaunchWalletId = null;
+}
+
+// ========== TIMERS ==========
+
+function armLaunch(launch) {
+  disarmLaunch(launch.id);
+  if (!LAUNCH_ARMED_STATUSES.includes(launch.status)) return;
+
+  const now = schedulerDeps.clock.now();
+  const checkAt = launch.launch_at - LAUNCH_PRECHECK_LEAD_MS;
+  const nextAt = launch.status === 'scheduled' && now < checkAt ? checkAt : launch.launch_at;
+  const delayMs = Math.min(Math.max(nextAt - now, 0), LAUNCH_MAX_TIMER_MS);
+  launchTimers.set(launch.id, schedulerDeps.clock.setTimeout(() => handleLaunchTimer(launch.id), delayMs));
+}
+
+function disarmLaunch(launchId) {
+  if (launchTimers.has(launchId)) {
+    schedulerDeps.clock.clearTimeout(launchTimers.get(launchId));
+    launchTimers.delete(launchId);
+  }
+}
+
+async function handleLaunchTimer(launchId) {
+  launchTimers.delete(launchId);
+  const launch = scheduledLaunches.get(launchId);
+  if (!launch) return;
+
+  const now = schedulerDeps.clock.now();
+  if (now >= launch.launch_at) {
+    await fireLaunch(launch);
+    return;
+  }
+
+  if (launch.status === 'scheduled' && now >= launch.launch_at - LAUNCH_PRECHECK_LEAD_MS) {
+    const problems = await runLaunchChecks(launch);
+    // Cancelled while the checks were running
+    if (!scheduledLaunches.has(launchId)) return;
+    await persistLaunch({ ...launch, status: problems.length ? 'blocked' : 'ready', problems });
+  }
+  armLaunch(scheduledLaunches.get(launchId));
+}
+
+// ========== FIRING ==========
+
+async function runLaunchChecks(launch) {
+  try {
+    return (await launchHandlers.runPreLaunchChecks?.(launch)) || [];
+  } catch (error) {
+    console.error('❌ [SCHEDULER] Pre-launch checks failed:', error);
+    return [error?.message || 'Pre-launch checks could not run'];
+  }
+}
+
+async function failLaunch(launch, error, problems = launch.problems) {
+  const failed = { ...launch, status: 'failed', error, problems };
+  await persistLaunch(failed);
+  console.error(`❌ [SCHEDULER] Launch of "${launch.payload.name}" failed: ${error}`);
+  launchHandlers.onFailed?.(failed);
+}
+
+/**
+ * Run the final checks and submit. force skips the missed-window check (retries and
+ * launches resumed mid-request).
+ */
+async function fireLaunch(launch, { force = false } = {}) {
+  const lateByMs = schedulerDeps.clock.now() - launch.launch_at;
+  if (!force && lateByMs > LAUNCH_MISSED_GRACE_MS) {
+    await failLaunch(launch, 'Missed the launch time while the app was closed');
+    return;
+  }
+
+  if (launch.status !== 'launching') {
+    const problems = await runLaunchChecks(launch);
+    if (!scheduledLaunches.has(launch.id)) return;
+    if (problems.length) {
+      await failLaunch(launch, 'Pre-launch checks failed', problems);
+      return;
+    }
+  }
+
+  const launching = { ...launch, status: 'launching', problems: [], error: null };
+  await persistLaunch(launching);
+
+  let response = null;
+  try {
+    response = await getLaunchOrchestrator().createAndBuyToken(
+      launching.user_wallet_id,
+      launching.payload,
+      launching.idempotency_key
+    );
+  } catch (error) {
+    await failLaunch(launching, error?.message || 'Launch request failed');
+    return;
+  }
+
+  // createAndBuyToken reports its own errors and returns null
+  if (!response) {
+    await failLaunch(launching, 'The orchestrator did not accept the launch');
+    return;
+  }
+
+  scheduledLaunches.delete(launching.id);
+  await schedulerDeps.store.remove(launching.id);
+  notifyLaunchesChanged();
+  console.log(`🚀 [SCHEDULER] Launch of "${launching.payload.name}" submitted`);
+  try {
+    await launchHandlers.onLaunched?.(launching, response);
+  } catch (error) {
+    console.error('❌ [SCHEDULER] onLaunched handler failed:', error);
+  }
+}
+
+// ========== TEST DOUBLES ==========
+
+/**
+ * A clock whose time only moves through advance(); due timers run in time order
+ */
+function createFakeClock(startMs = Date.now()) {
+  let currentMs = startMs;
+  let nextTimerId = 1;
+  const timers = new Map();
+
+  return {
+    now: () => currentMs,
+    setTimeout(callback, delayMs) {
+      const id = nextTimerId++;
+      timers.set(id, { callback, dueMs: currentMs + Math.max(delayMs, 0) });
+      return id;
+    },
+    clearTimeout(id) {
+      timers.delete(id);
+    },
+    async advance(ms) {
+      const targetMs = currentMs + ms;
+      for (;;) {
+        const [id, timer] = [...timers.entries()]
+          .filter(([, entry]) => entry.dueMs <= targetMs)
+          .sort(([, a], [, b]) => a.dueMs - b.dueMs)[0] || [];
+        if (!timer) break;
+        timers.delete(id);
+        currentMs = timer.dueMs;
+        await timer.callback();
+      }
+      currentMs = targetMs;
+    }
+  };
+}
+
+function createMemoryLaunchStore() {
+  const records = new Map();
+  return {
+    records,
+    put: async (launch) => records.set(launch.id, structuredClone(launch)) && launch,
+    list: async (userWalletId) => [...records.values()].filter((launch) => launch.user_wallet_id === userWalletId),
+    remove: async (launchId) => records.delete(launchId)
+  };
+}
+
+/**
+ * Stand-in for OrchestratorAPI.createAndBuyToken that records calls instead of launching
+ */
+function createLocalOrchestratorStub({ fail = false } = {}) {
+  const calls = [];
+  return {
+    calls,
+    async createAndBuyToken(userWalletId, tokenData, idempotencyKey) {
+      calls.push({ userWalletId, tokenData, idempotencyKey });
+      return fail ? null : { contract_address: `stub-${idempotencyKey}`, image_url: null };
+    }
+  };
+}
+
+// ========== SCHEDULER TESTING ==========
+
+/**
+ * Run the scheduler against a fake clock, an in-memory store and the orchestrator stub.
+ * The real dependencies, handlers and the active wallet's launches are restored afterwards.
+ */
+async function testLaunchScheduler() {
+  const walletId = 'scheduler-self-test';
+  const activeWalletId = activeLaunchWalletId;
+  const savedHandlers = { ...launchHandlers };
+  const results = [];
+  const check = (name, passed) => {
+    results.push({ name, passed });
+    console[passed ? 'log' : 'error'](`${passed ? '✅' : '❌'} [SCHEDULER TEST] ${name}`);
+  };
+
+  const clock = createFakeClock(Date.UTC(2030, 0, 1, 12));
+  const store = createMemoryLaunchStore();
+  const orchestrator = createLocalOrchestratorStub();
+  let checkProblems = [];
+  let checkRuns = 0;
+  const launched = [];
+
+  stopLaunchScheduler();
+  const previousDeps = configureLaunchScheduler({ clock, store, orchestrator });
+  Object.keys(launchHandlers).forEach((key) => delete launchHandlers[key]);
+  registerLaunchHandlers({
+    runPreLaunchChecks: () => {
+      checkRuns += 1;
+      return checkProblems;
+    },
+    onLaunched: (launch) => launched.push(launch.id)
+  });
+
+  try {
+    const payload = { name: 'Scheduler Test', symbol: 'SCHED', logoBase64: 'aGVsbG8=' };
+
+    // Fires on time after a pre-check and a final check
+    await scheduleLaunch({ userWalletId: walletId, launchAt: clock.now() + 60 * 60 * 1000, payload, idempotencyKey: 'launch-1' });
+    await clock.advance(60 * 60 * 1000 - LAUNCH_PRECHECK_LEAD_MS);
+    check('pre-launch checks run before the launch time', checkRuns === 1 && scheduledLaunches.get('launch-1')?.status === 'ready');
+    check('nothing fires early', orchestrator.calls.length === 0);
+    await clock.advance(LAUNCH_PRECHECK_LEAD_MS);
+    check('launch fires at its time with the stored payload and key',
+      orchestrator.calls.length === 1 && orchestrator.calls[0].idempotencyKey === 'launch-1' && orchestrator.calls[0].tokenData.logoBase64 === payload.logoBase64);
+    check('fired launch is removed from the store', !store.records.has('launch-1') && launched.includes('launch-1'));
+
+    // Failing final checks block the launch
+    checkProblems = ['No active bundler'];
+    await scheduleLaunch({ userWalletId: walletId, launchAt: clock.now() + 2 * 60 * 1000, payload, idempotencyKey: 'launch-2' });
+    await clock.advance(2 * 60 * 1000);
+    check('failed checks keep the launch from firing',
+      orchestrator.calls.length === 1 && store.records.get('launch-2')?.status === 'failed');
+    await cancelScheduledLaunch('launch-2');
+
+    // Survives a reload: timers and memory are dropped, the store is not
+    checkProblems = [];
+    await scheduleLaunch({ userWalletId: walletId, launchAt: clock.now() + 30 * 60 * 1000, payload, idempotencyKey: 'launch-3' });
+    stopLaunchScheduler();
+    await resumeScheduledLaunches(walletId);
+    await clock.advance(30 * 60 * 1000);
+    check('a launch resumed after reload fires', orchestrator.calls.some((call) => call.idempotencyKey === 'launch-3'));
+
+    // Launches whose time passed while the app was closed are not fired late
+    await scheduleLaunch({ userWalletId: walletId, launchAt: clock.now() + 2 * 60 * 1000, payload, idempotencyKey: 'launch-4' });
+    stopLaunchScheduler();
+    await clock.advance(2 * 60 * 1000 + LAUNCH_MISSED_GRACE_MS + 1);
+    await resumeScheduledLaunches(walletId);
+    await clock.advance(0);
+    check('missed launches fail instead of firing late',
+      !orchestrator.calls.some((call) => call.idempotencyKey === 'launch-4') && store.records.get('launch-4')?.status === 'failed');
+  } catch (error) {
+    check(`unexpected error: ${error.message}`, false);
+  } finally {
+    stopLaunchScheduler();
+    configureLaunchScheduler(previousDeps);
+    Object.keys(launchHandlers).forEach((key) => delete launchHandlers[key]);
+    registerLaunchHandlers(savedHandlers);
+    if (activeWalletId) {
+      await resumeScheduledLaunches(activeWalletId);
+    }
+  }
+
+  const failed = results.filter((result) => !result.passed).length;
+  console.log(failed ? `❌ [SCHEDULER TEST] ${failed} check(s) failed` : '🗓️ [SCHEDULER TEST] All checks passed');
+  return failed === 0;
+}
+
+// ========== EXPORT FOR GLOBAL ACCESS ==========
+
+window.LaunchScheduler = {
+  configureLaunchScheduler,
+  registerLaunchHandlers,
+  scheduleLaunch,
+  cancelScheduledLaunch,
+  retryScheduledLaunch,
+  resumeScheduledLaunches,
+  getScheduledLaunches,
+  stopLaunchScheduler,
+  createFakeClock,
+  createLocalOrchestratorStub,
+  testLaunchScheduler
+};
+
+console.log('🗓️ Launch scheduler loaded successfully');
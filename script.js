@@ -14,20 +14,104 @@ let currentWallet = null;
 let currentUser = null;
 let isConnected = false;
 let subscriptions = [];
+let childWalletSubscription = null;
 let devWalletPollInterval = null;
 let isDevWalletPolling = false;
-let bundlerProgressInterval = null;
 let bundlerProgressModal = null;
+let bundlerProgressState = null;
 let bundlerAvailableModal = null;
-let bundlerProgressPhase = 0;
+let bundlerDetailModal = null;
+let bundlerDetailState = null;
+let tokenDetailModal = null;
+let tokenDetailState = null;
 let currentTheme = 'light';
+let notificationHistory = [];
+let activityState = { page: 0, type: null, items: [], hasMore: false, loading: false };
+let profileChartState = { subject: 'distributor', range: '24h' };
+const expandedBundlerCharts = new Map(); // bundlerId -> selected range
+let bundlerView = 'active';
+let motherPoolState = { wallets: [], assignments: new Map(), filter: 'all' };
+let bundlerPreflightState = null;
+const inFlightActions = new Set();
 
 const DEV_WALLET_POLL_INTERVAL_MS = 20000;
-const BUNDLER_PROGRESS_STEP_DURATION_MS = 90000;
+const BUNDLER_PROGRESS_STEPS = [
+  { key: 'allocation', label: 'Allocation' },
+  { key: 'funding_mother', label: 'Funding mother' },
+  { key: 'funding_child', label: 'Funding child' },
+  { key: 'confirmation', label: 'Confirmation' }
+];
+const SOLANA_EXPLORER_BASE_URL = 'https://solscan.io';
+const PUMP_FUN_BASE_URL = 'https://pump.fun';
+const SOL_PER_MOTHER_WALLET = 1; // the orchestrator funds one mother wallet per SOL of bundler balance
+const CHILD_WALLETS_PER_MOTHER = 1; // 1:1 convention from the schema notes
+const CHILD_FUNDING_RANGE_SOL = { min: 0.2, max: 0.3 };
+const SOLANA_TX_FEE_SOL = 0.000005; // base fee for a single-signature transfer
+const DISTRIBUTOR_RESERVE_SOL = 0.01; // keep enough behind for later sells and transfers
+const BUNDLER_DETAIL_SORTS = {
+  sol_desc: { label: 'SOL (high to low)', compare: (a, b) => parseFloat(b.balance_sol) - parseFloat(a.balance_sol) },
+  spl_desc: { label: 'SPL (high to low)', compare: (a, b) => parseFloat(b.balance_spl) - parseFloat(a.balance_spl) },
+  address: { label: 'Address', compare: (a, b) => a.public_key.localeCompare(b.public_key) }
+};
 const DEV_WALLET_REQUIRED_MESSAGE = 'Your developer wallet is still being set up. Please wait a moment.';
 const DEV_WALLET_MIN_SOL_FOR_TOKENS = 0.1;
 const TOKEN_LOGO_MAX_BYTES = 2 * 1024 * 1024; // 2 MB
 const THEME_STORAGE_KEY = 'solanafied-theme';
+const PENDING_ACTIONS_STORAGE_KEY = 'solanafied-pending-actions';
+const PENDING_ACTION_TTL_MS = 24 * 60 * 60 * 1000;
+const NOTIFICATION_TRANSPORT = (resolveEnvVar('NOTIFICATION_TRANSPORT', { optional: true }) || 'sse').toLowerCase();
+const NOTIFICATION_HISTORY_STORE = 'notifications';
+const TOKEN_DRAFT_STORE = 'token_drafts';
+const LAUNCH_TEMPLATE_STORE = 'launch_templates';
+const TOKEN_DRAFT_SAVE_DELAY_MS = 500;
+// Launch form inputs keyed by the names used in drafts, templates and duplicated tokens
+const TOKEN_FORM_FIELDS = {
+  name: 'token-name',
+  symbol: 'token-symbol',
+  description: 'token-description',
+  twitter: 'token-twitter',
+  telegram: 'token-telegram',
+  website: 'token-website',
+  devBuyAmount: 'dev-buy-amount',
+  slippage: 'slippage',
+  priorityFee: 'priority-fee',
+  launchAt: 'launch-at'
+};
+const LAUNCH_TEMPLATE_FIELDS = ['devBuyAmount', 'slippage', 'priorityFee', 'twitter', 'telegram', 'website'];
+const NOTIFICATION_HISTORY_LIMIT = 200;
+const NOTIFICATION_INBOX_EXCLUDED_TYPES = ['JOB_UPDATED', 'BUNDLER_PROGRESS'];
+const NOTIFICATION_SEVERITY = {
+  WALLET_CREATED: 'success',
+  BUNDLER_CREATED: 'success',
+  TOKEN_CREATED: 'success',
+  BALANCE_UPDATED: 'success',
+  SELL_COMPLETED: 'success',
+  TRANSFER_COMPLETED: 'success',
+  DEV_WALLET_READY: 'success',
+  SELL_FAILED: 'error',
+  BUNDLER_FAILED: 'error',
+  TOKEN_LAUNCH_FAILED: 'error',
+  LOW_BALANCE_WARNING: 'warning'
+};
+const ACTIVITY_PAGE_SIZE = 20;
+const BUNDLER_DETAIL_ACTIVITY_LIMIT = 10;
+const ACTIVITY_TYPES = [
+  { type: 'bundler_funding', label: 'Bundler funding', icon: 'account_balance' },
+  { type: 'dev_buy', label: 'Dev buy', icon: 'shopping_cart' },
+  { type: 'token_launch', label: 'Token launch', icon: 'rocket_launch' },
+  { type: 'sell', label: 'Sell', icon: 'sell' },
+  { type: 'transfer_to_owner', label: 'Transfer to owner', icon: 'send' }
+];
+const BALANCE_CHART_RANGES = ['24h', '7d', '30d'];
+const BALANCE_CHART_RANGE_MS = { '24h': 24 * 60 * 60 * 1000, '7d': 7 * 24 * 60 * 60 * 1000, '30d': 30 * 24 * 60 * 60 * 1000 };
+const BALANCE_CHART_SIZE = { width: 320, height: 120, padding: 8 };
+const DESKTOP_NOTIFICATION_PREFS_KEY = 'solanafied-desktop-notifications';
+const DESKTOP_NOTIFICATION_TYPES = [
+  { type: 'BUNDLER_CREATED', label: 'Bundler ready' },
+  { type: 'TOKEN_CREATED', label: 'Token launched' },
+  { type: 'SELL_COMPLETED', label: 'Sell completed' },
+  { type: 'DEV_WALLET_READY', label: 'Developer wallet ready' }
+];
 const MIN_PARALLEL_BUY_SLIPPAGE_PERCENT = 50;
 const MIN_PARALLEL_BUY_SLIPPAGE_BPS = MIN_PARALLEL_BUY_SLIPPAGE_PERCENT * 100;
 
@@ -53,33 +137,59 @@ function mergeUserData(partialUser = {}) {
   return currentUser;
 }
 
+/**
+ * Show balances returned by an orchestrator verify call right away. The browser
+ * cannot write balances; the orchestrator has already persisted these, so the
+ * follow-up refresh from the database confirms them.
+ */
+function applyVerifiedBalances(balances) {
+  const user = mergeUserData(balances);
+  updateBalanceDisplay(user.distributor_balance_sol, user.distributor_balance_spl);
+}
+
 // ========== LONG-RUN OPERATION HELPERS ==========
 
-function showBundlerProgressModal(totalSteps) {
+/**
+ * Show per-mother-wallet bundler progress, fed by job status and BUNDLER_PROGRESS notifications
+ */
+function showBundlerProgressModal({ jobId, bundlerBalance = 0 }) {
   if (bundlerProgressModal) {
     bundlerProgressModal.remove();
   }
 
+  bundlerProgressState = {
+    jobId,
+    bundlerId: null,
+    expectedMotherWallets: Number.parseInt(bundlerBalance, 10) || 0,
+    motherWallets: {}
+  };
+
   bundlerProgressModal = document.createElement('div');
   bundlerProgressModal.className = 'modal-overlay';
   bundlerProgressModal.id = 'bundler-progress-modal';
 
-  bundlerProgressModal.innerHTML = `
+  bundlerProgressModal.innerHTML = html`
     <div class="modal-content">
       <div class="modal-header">
         <span class="material-symbols-outlined">schedule</span>
         <h3>Creating Bundler...</h3>
       </div>
       <div class="modal-body">
-        <p>This process is sequential and may take several minutes. Please keep this tab open.</p>
-        <div class="progress-steps" id="bundler-progress-steps"></div>
+        <p>Each mother wallet is allocated, funded and confirmed in sequence. You can close this dialog and reopen it from the Bundlers card; we'll keep tracking the job and notify you when it finishes.</p>
         <div class="progress-bar"><div class="progress" id="bundler-progress-bar"></div></div>
+        <div class="bundler-progress-wallets" id="bundler-progress-steps"></div>
+        <div class="modal-actions">
+          <button class="secondary-button" type="button" onclick="closeBundlerProgressModal()">
+            <span class="material-symbols-outlined">visibility_off</span>
+            Run in Background
+          </button>
+        </div>
       </div>
     </div>
   `;
 
   document.body.appendChild(bundlerProgressModal);
-  updateBundlerProgress(0, totalSteps);
+  renderBundlerProgress();
 }
 
 function showBundlerAvailableModal(balanceSol = 0) {
@@ -91,7 +201,7 @@ function showBundlerAvailableModal(balanceSol = 0) {
   bundlerAvailableModal.className = 'modal-overlay';
   bundlerAvailableModal.id = 'bundler-available-modal';
 
-  bundlerAvailableModal.innerHTML = `
+  bundlerAvailableModal.innerHTML = html`
     <div class="modal-content">
       <div class="modal-header">
         <span class="material-symbols-outlined">check_circle</span>
@@ -135,14 +245,10 @@ async function checkDeveloperBalance() {
     const result = await OrchestratorAPI.verifyDevWalletBalance(currentUser.user_wallet_id);
 
     if (result) {
-      // Persist balances optimistically while waiting for Supabase sync
-      if (DatabaseAPI?.updateUserDevBalances) {
-        await DatabaseAPI.updateUserDevBalances(
-          currentUser.user_wallet_id,
-          result.currentBalance ?? currentUser.dev_balance_sol,
-          result.currentSplBalance ?? currentUser.dev_balance_spl
-        );
-      }
+      applyVerifiedBalances({
+        dev_balance_sol: result.currentBalance,
+        dev_balance_spl: result.currentSplBalance
+      });
 
       await refreshUserData();
       showSnackbar('Developer balances refreshed.', 'success');
@@ -153,66 +259,192 @@ async function checkDeveloperBalance() {
   }
 }
 
-function updateBundlerProgress(stepIndex, totalSteps) {
-  const stepsContainer = document.getElementById('bundler-progress-steps');
+function getExplorerTxUrl(signature) {
+  return `${SOLANA_EXPLORER_BASE_URL}/tx/${encodeURIComponent(signature)}`;
+}
+
+function getExplorerAccountUrl(publicKey) {
+  return `${SOLANA_EXPLORER_BASE_URL}/account/${encodeURIComponent(publicKey)}`;
+}
+
+function getExplorerTokenUrl(mintAddress) {
+  return `${SOLANA_EXPLORER_BASE_URL}/token/${encodeURIComponent(mintAddress)}`;
+}
+
+function getPumpFunUrl(mintAddress) {
+  return `${PUMP_FUN_BASE_URL}/coin/${encodeURIComponent(mintAddress)}`;
+}
+
+function getBundlerProgressWallet(motherWalletId, publicKey = null) {
+  const key = String(motherWalletId);
+  const wallets = bundlerProgressState.motherWallets;
+  if (!wallets[key]) {
+    wallets[key] = { motherWalletId, publicKey, steps: {} };
+  }
+  if (publicKey) {
+    wallets[key].publicKey = publicKey;
+  }
+  return wallets[key];
+}
+
+/**
+ * Merge a full progress snapshot from job status
+ * progress: { bundler_id, mother_wallets: [{ mother_wallet_id, public_key, steps: [{ step, status, signature, error }] }] }
+ */
+function applyBundlerProgress(jobId, progress) {
+  if (!bundlerProgressState || bundlerProgressState.jobId !== jobId || !progress) return;
+
+  bundlerProgressState.bundlerId = progress.bundler_id ?? bundlerProgressState.bundlerId;
+  (progress.mother_wallets || []).forEach((motherWallet) => {
+    const wallet = getBundlerProgressWallet(motherWallet.mother_wallet_id, motherWallet.public_key);
+    (motherWallet.steps || []).forEach((step) => {
+      wallet.steps[step.step] = { status: step.status, signature: step.signature || null, error: step.error || null };
+    });
+  });
+
+  renderBundlerProgress();
+}
+
+/**
+ * Merge a single step event from a BUNDLER_PROGRESS notification
+ */
+function applyBundlerStepEvent(event) {
+  if (!bundlerProgressState || !event) return;
+  if (event.job_id && event.job_id !== bundlerProgressState.jobId) return;
+  if (!event.job_id && event.bundler_id && bundlerProgressState.bundlerId && event.bundler_id !== bundlerProgressState.bundlerId) return;
+
+  bundlerProgressState.bundlerId = event.bundler_id ?? bundlerProgressState.bundlerId;
+  const wallet = getBundlerProgressWallet(event.mother_wallet_id, event.public_key);
+  wallet.steps[event.step] = { status: event.status, signature: event.signature || null, error: event.error || null };
+  renderBundlerProgress();
+}
+
+function renderBundlerProgress() {
+  const walletsContainer = document.getElementById('bundler-progress-steps');
   const progressBar = document.getElementById('bundler-progress-bar');
-  if (!stepsContainer || !progressBar) return;
+  if (!walletsContainer || !progressBar || !bundlerProgressState) return;
+
+  const wallets = Object.values(bundlerProgressState.motherWallets);
+  const walletCount = Math.max(wallets.length, bundlerProgressState.expectedMotherWallets, 1);
+  const completedSteps = wallets.reduce((sum, wallet) =>
+    sum + Object.values(wallet.steps).filter((step) => step.status === 'completed').length, 0);
 
-  const steps = Array.from({ length: totalSteps }, (_, idx) => idx + 1);
+  const progressPercent = Math.min((completedSteps / (walletCount * BUNDLER_PROGRESS_STEPS.length)) * 100, 100);
+  progressBar.style.width = `${progressPercent}%`;
 
-  stepsContainer.innerHTML = steps.map((step) => {
-    const state = step <= stepIndex ? 'completed' : step === stepIndex + 1 ? 'active' : 'pending';
-    return `
-      <div class="progress-step ${state}">
-        <span>${step}</span>
+  if (!wallets.length) {
+    walletsContainer.innerHTML = html`
+      <div class="loading-state">
+        <div class="spinner"></div>
+        <span>Waiting for mother wallet allocation...</span>
       </div>
     `;
-  }).join('');
+    return;
+  }
 
-  const progressPercent = Math.min((stepIndex / totalSteps) * 100, 100);
-  progressBar.style.width = `${progressPercent}%`;
+  walletsContainer.innerHTML = html`${wallets.map(renderBundlerProgressWallet)}`;
 }
 
-function closeBundlerProgressModal() {
-  if (bundlerProgressInterval) {
-    clearInterval(bundlerProgressInterval);
-    bundlerProgressInterval = null;
+function renderBundlerProgressWallet(wallet, index) {
+  return html`
+    <div class="bundler-progress-wallet">
+      <div class="bundler-progress-wallet-title">
+        <span class="material-symbols-outlined">account_balance_wallet</span>
+        Mother wallet ${index + 1}
+        ${wallet.publicKey ? html`<span class="key-text">${DatabaseAPI.truncateAddress(wallet.publicKey, 6, 6)}</span>` : ''}
+      </div>
+      <div class="progress-steps">
+        ${BUNDLER_PROGRESS_STEPS.map(({ key, label }) => {
+          const step = wallet.steps[key] || { status: 'pending' };
+          const state = step.status === 'running' ? 'active' : step.status;
+          return html`
+            <div class="progress-step ${state}">
+              <span>${label}</span>
+              ${step.signature ? html`
+                <a href="${getExplorerTxUrl(step.signature)}" target="_blank" rel="noopener noreferrer" title="${step.signature}">
+                  ${DatabaseAPI.truncateAddress(step.signature, 4, 4)}
+                </a>
+              ` : ''}
+              ${step.status === 'failed' ? html`
+                <small class="progress-step-error">${step.error || 'Step failed'}</small>
+                <button class="link-button" type="button" onclick="retryBundlerProgressStep(${jsArg(wallet.motherWalletId)}, ${jsArg(key)})">
+                  <span class="material-symbols-outlined">replay</span>
+                  Retry
+                </button>
+              ` : ''}
+            </div>
+          `;
+        })}
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Ask the orchestrator to re-run one failed step for one mother wallet
+ */
+async function retryBundlerProgressStep(motherWalletId, step) {
+  if (!currentUser || !bundlerProgressState) return;
+
+  const { jobId, bundlerId } = bundlerProgressState;
+  const actionId = `${currentUser.user_wallet_id}:retry-bundler-step:${jobId}:${motherWalletId}:${step}`;
+
+  try {
+    // Retrying the same failed step is always the same action
+    const response = await runIdempotentAction(actionId, (idempotencyKey) =>
+      OrchestratorAPI.retryBundlerStep(currentUser.user_wallet_id, { jobId, bundlerId, motherWalletId, step }, idempotencyKey),
+      { resumePending: true }
+    );
+    if (response) {
+      applyBundlerStepEvent({ job_id: jobId, mother_wallet_id: motherWalletId, step, status: 'running' });
+    }
+  } catch (error) {
+    console.error('❌ Failed to retry bundler step:', error);
   }
+}
+
+function closeBundlerProgressModal() {
   if (bundlerProgressModal) {
     bundlerProgressModal.remove();
     bundlerProgressModal = null;
   }
-  bundlerProgressPhase = 0;
+  bundlerProgressState = null;
 }
 
-function delay(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+/**
+ * List bundler creations that are still tracked, each with a way back into its progress modal
+ */
+function renderBundlerJobs() {
+  const container = document.getElementById('bundler-jobs');
+  if (!container) return;
+
+  const jobs = window.JobTracker && currentUser
+    ? JobTracker.getActiveJobs('create-bundler').filter((job) => job.userWalletId === currentUser.user_wallet_id)
+    : [];
+  container.hidden = !jobs.length;
+  container.innerHTML = html`${jobs.map(renderBundlerJobItem)}`;
 }
 
-function isTimeoutError(error) {
-  if (!error) return false;
-  if (error.name === 'AbortError') return true;
-  const message = (error.message || '').toLowerCase();
-  return message.includes('timed out') || message.includes('timeout');
+function renderBundlerJobItem(job) {
+  return html`
+    <div class="bundler-job" data-job-id="${job.jobId}">
+      <span class="material-symbols-outlined">schedule</span>
+      <span class="bundler-job-label">Creating a ${job.params?.bundlerBalance ?? '?'} SOL bundler...</span>
+      <button class="link-button" type="button" onclick="reopenBundlerProgress(${jsArg(job.jobId)})">View progress</button>
+    </div>
+  `;
 }
 
-async function waitForBundlerCreation(initialCount, timeoutMs = 240000, pollIntervalMs = 10000) {
-  if (!currentUser || !DatabaseAPI) return null;
-  const start = Date.now();
-
-  while (Date.now() - start < timeoutMs) {
-    try {
-      const bundlers = await DatabaseAPI.getUserBundlers(currentUser.user_wallet_id);
-      if (Array.isArray(bundlers) && bundlers.length > initialCount) {
-        return bundlers[0];
-      }
-    } catch (error) {
-      console.error('❌ Failed to poll bundler creation status:', error);
-    }
-    await delay(pollIntervalMs);
+function reopenBundlerProgress(jobId) {
+  const job = window.JobTracker?.getActiveJobs('create-bundler').find((entry) => entry.jobId === jobId);
+  if (!job) {
+    showSnackbar('This bundler creation has already finished.', 'info');
+    renderBundlerJobs();
+    return;
   }
 
-  return null;
+  showBundlerProgressModal({ jobId: job.jobId, bundlerBalance: job.params.bundlerBalance });
+  applyBundlerProgress(job.jobId, job.progress);
 }
 
 function ensureDevWalletStatusElement() {
@@ -250,9 +482,35 @@ function validateTokenFormData(tokenData = {}) {
   if (tokenData.logoFile && tokenData.logoFile.size > TOKEN_LOGO_MAX_BYTES) {
     errors.push('Logo file must be smaller than 2 MB.');
   }
+  if (tokenData.launchAt && new Date(tokenData.launchAt).getTime() - Date.now() < LAUNCH_MIN_LEAD_MS) {
+    errors.push('Launch time must be at least a minute from now.');
+  }
   return errors;
 }
 
+/**
+ * Reasons a token cannot launch for this user right now. Bundlers are only
+ * checked when passed in (the FAB checks them before opening the form).
+ */
+function getTokenLaunchProblems(user, devBuyAmount, bundlers = null) {
+  const problems = [];
+  if (!user?.dev_public_key) {
+    problems.push(DEV_WALLET_REQUIRED_MESSAGE);
+    return problems;
+  }
+
+  const devBalance = parseFloat(user.dev_balance_sol || '0');
+  if (devBalance < DEV_WALLET_MIN_SOL_FOR_TOKENS) {
+    problems.push(`Developer wallet needs at least ${DEV_WALLET_MIN_SOL_FOR_TOKENS} SOL before creating tokens.`);
+  } else if (devBuyAmount > devBalance) {
+    problems.push('Dev buy amount exceeds developer wallet SOL balance.');
+  }
+  if (bundlers && !bundlers.some((bundler) => bundler.is_active)) {
+    problems.push('You need an active bundler to create tokens');
+  }
+  return problems;
+}
+
 function clampSlippagePercent(value) {
   const parsed = parseFloat(value);
   if (Number.isNaN(parsed)) {
@@ -292,7 +550,7 @@ function showDevWalletStatus(message, state = 'info') {
   const statusEl = ensureDevWalletStatusElement();
   if (!statusEl) return;
   statusEl.className = `dev-wallet-status ${state}`;
-  statusEl.innerHTML = `
+  statusEl.innerHTML = html`
     <span class="material-symbols-outlined">
       ${state === 'success' ? 'check_circle' : 'hourglass_top'}
     </span>
@@ -444,6 +702,15 @@ async function connectWallet() {
     
     // Request connection
     const response = await walletProvider.connect();
+    
+    // Prove wallet ownership so database access is scoped to this wallet
+    showLoadingOverlay(true, 'Sign the message in your wallet...');
+    try {
+      await AuthAPI.signIn(walletProvider, response.publicKey.toString());
+    } catch (authError) {
+      await walletProvider.disconnect().catch(() => {});
+      throw authError;
+    }
     currentWallet = response;
     
     console.log('✅ Wallet connected:', response.publicKey.toString());
@@ -469,6 +736,10 @@ async function connectWallet() {
     let message = 'Failed to connect wallet';
     if (error.message.includes('User rejected')) {
       message = 'Connection cancelled by user';
+    } else if (error.message.includes('message signing')) {
+      message = 'This wallet cannot sign messages, which is required to sign in';
+    } else if (error.message.includes('Sign-in') || error.message.includes('signature')) {
+      message = 'Wallet sign-in failed. Please try again.';
     } else if (error.message.includes('No Solana wallet')) {
       message = 'Please install a Solana wallet (Phantom recommended)';
     }
@@ -553,32 +824,7 @@ async function showSellSplTokenModal(arg) {
         ? 'Bundler (child wallets)'
         : 'Distributor Wallet';
 
-    sellSplModal.innerHTML = `
-      <div class="modal-content">
-        <div class="modal-header">
-          <span class="material-symbols-outlined">sell</span>
-          <h3>Sell SPL (${walletLabel})</h3>
-        </div>
-        <div class="modal-body">
-          <p>Available SPL balance: <strong>${DatabaseAPI.formatBalance(balance)}</strong></p>
-          <div class="form-group">
-            <label for="sell-spl-percent">Sell Percentage</label>
-            <input id="sell-spl-percent" type="number" min="1" max="100" step="1" value="50" />
-            <small>Enter a value between 1 and 100</small>
-          </div>
-          <div class="modal-actions">
-            <button class="secondary-button" type="button" onclick="closeSellSplModal()">
-              <span class="material-symbols-outlined">close</span>
-              Cancel
-            </button>
-            <button class="primary-button" type="button" onclick="confirmSellSplFromModal()">
-              <span class="material-symbols-outlined">sell</span>
-              Sell Tokens
-            </button>
-          </div>
-        </div>
-      </div>
-    `;
+    sellSplModal.innerHTML = renderSellSplModalContent(walletLabel, balance);
 
     document.body.appendChild(sellSplModal);
     const percentInput = sellSplModal.querySelector('#sell-spl-percent');
@@ -591,6 +837,35 @@ async function showSellSplTokenModal(arg) {
   }
 }
 
+function renderSellSplModalContent(walletLabel, balance) {
+  return html`
+    <div class="modal-content">
+      <div class="modal-header">
+        <span class="material-symbols-outlined">sell</span>
+        <h3>Sell SPL (${walletLabel})</h3>
+      </div>
+      <div class="modal-body">
+        <p>Available SPL balance: <strong>${DatabaseAPI.formatBalance(balance)}</strong></p>
+        <div class="form-group">
+          <label for="sell-spl-percent">Sell Percentage</label>
+          <input id="sell-spl-percent" type="number" min="1" max="100" step="1" value="50" />
+          <small>Enter a value between 1 and 100</small>
+        </div>
+        <div class="modal-actions">
+          <button class="secondary-button" type="button" onclick="closeSellSplModal()">
+            <span class="material-symbols-outlined">close</span>
+            Cancel
+          </button>
+          <button class="primary-button" type="button" onclick="confirmSellSplFromModal()">
+            <span class="material-symbols-outlined">sell</span>
+            Sell Tokens
+          </button>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
 function closeSellSplModal() {
   if (sellSplModal) {
     sellSplModal.remove();
@@ -627,12 +902,20 @@ async function executeSellSpl(percent, source = 'distributor', bundlerId = null)
 
     let response = null;
 
+    const actionId = `${currentUser.user_wallet_id}:sell:${source}:${bundlerId || ''}:${percent}`;
+
     if (source === 'bundler') {
       showLoadingOverlay(true, 'Submitting bundler sell order...');
-      response = await OrchestratorAPI.sellCreatedToken(currentUser.user_wallet_id, percent);
+      response = await runIdempotentAction(actionId, (idempotencyKey) =>
+        OrchestratorAPI.sellCreatedToken(currentUser.user_wallet_id, percent, idempotencyKey),
+        { label: 'sell order' }
+      );
     } else {
-      const options = source === 'developer' ? { walletType: 'developer' } : { walletType: 'distributor' };
-      response = await OrchestratorAPI.sellSplFromWallet(currentUser.user_wallet_id, percent, options);
+      const walletType = source === 'developer' ? 'developer' : 'distributor';
+      response = await runIdempotentAction(actionId, (idempotencyKey) =>
+        OrchestratorAPI.sellSplFromWallet(currentUser.user_wallet_id, percent, { walletType, idempotencyKey }),
+        { label: 'sell order' }
+      );
     }
 
     if (response) {
@@ -671,12 +954,15 @@ async function disconnectWallet() {
     }
     
     // Clean up subscriptions
-    subscriptions.forEach(sub => {
-      if (sub && typeof sub.unsubscribe === 'function') {
-        sub.unsubscribe();
-      }
-    });
-    subscriptions = [];
+    teardownRealtimeSubscriptions();
+    stopNotificationTransport();
+    clearNotificationCenter();
+    closeTokenDetailModal();
+    closeBundlerProgressModal();
+    window.JobTracker?.stopJobPolling();
+    window.LaunchScheduler?.stopLaunchScheduler();
+    renderScheduledLaunches([]);
+    AuthAPI.signOut();
     
     // Reset state
     currentWallet = null;
@@ -718,6 +1004,8 @@ async function initializeUser() {
 
     console.log('[App] User record found, merging data');
     mergeUserData(user);
+    loadNotificationHistory(user.user_wallet_id);
+    startNotificationTransport();
     hideRegistrationPrompt();
     showDashboard();
     console.log('✅ User initialized:', user);
@@ -752,6 +1040,7 @@ async function refreshUserData() {
       // Update balance display
       updateBalanceDisplay(updatedUser.distributor_balance_sol, updatedUser.distributor_balance_spl);
       updateDevWalletStatus(updatedUser);
+      renderTokenDetail();
     }
     
   } catch (error) {
@@ -771,7 +1060,7 @@ function updateWalletUI() {
   
   if (isConnected && currentWallet) {
     // Update connect button
-    connectBtn.innerHTML = `
+    connectBtn.innerHTML = html`
       <span class="material-symbols-outlined">check_circle</span>
       <span class="wallet-text">Connected</span>
     `;
@@ -784,7 +1073,7 @@ function updateWalletUI() {
     
   } else {
     // Reset connect button
-    connectBtn.innerHTML = `
+    connectBtn.innerHTML = html`
       <span class="material-symbols-outlined">account_balance_wallet</span>
       <span class="wallet-text">Connect Wallet</span>
     `;
@@ -913,7 +1202,7 @@ function showRegistrationPrompt() {
     registrationPrompt = document.createElement('section');
     registrationPrompt.id = 'registration-prompt';
     registrationPrompt.className = 'registration-prompt';
-    registrationPrompt.innerHTML = `
+    registrationPrompt.innerHTML = html`
       <div class="card registration-card">
         <div class="card-header">
           <span class="material-symbols-outlined">person_add</span>
@@ -990,6 +1279,32 @@ function showLoadingOverlay(show, message = 'Loading...') {
   }
 }
 
+/**
+ * Reflect the live notification connection in the app bar
+ * state: idle | connecting | connected | reconnecting | disconnected
+ */
+function setNotificationConnectionState(state) {
+  const indicator = document.getElementById('notification-stream-indicator');
+  if (!indicator) return;
+
+  const labels = {
+    connecting: 'Connecting...',
+    connected: 'Live',
+    reconnecting: 'Reconnecting...',
+    disconnected: 'Offline'
+  };
+
+  if (state === 'idle') {
+    indicator.style.display = 'none';
+    return;
+  }
+
+  indicator.className = `stream-indicator ${state}`;
+  indicator.title = `Live updates: ${labels[state] || state}`;
+  indicator.querySelector('.stream-indicator-label').textContent = labels[state] || state;
+  indicator.style.display = 'flex';
+}
+
 /**
  * Show snackbar notification
  */
@@ -1009,6 +1324,370 @@ function showSnackbar(message, type = 'info') {
   }, 4000);
 }
 
+// ========== NOTIFICATION CENTER ==========
+
+function getNotificationLink(notification) {
+  if (notification.bundler_id) {
+    return { kind: 'bundler', id: String(notification.bundler_id) };
+  }
+  if (notification.token_id || notification.contract_address) {
+    return { kind: 'token', id: String(notification.token_id || ''), contractAddress: notification.contract_address || null };
+  }
+  return null;
+}
+
+function getNotificationFallbackMessage(notification) {
+  const label = String(notification.type || 'notification').toLowerCase().replace(/_/g, ' ');
+  return label.charAt(0).toUpperCase() + label.slice(1);
+}
+
+/**
+ * Store a backend notification in the current wallet's inbox
+ */
+async function recordNotification(notification) {
+  if (!notification?.type || NOTIFICATION_INBOX_EXCLUDED_TYPES.includes(notification.type)) return null;
+
+  const walletId = currentUser?.user_wallet_id;
+  if (!walletId) return null;
+  if (notification.user_wallet_id && notification.user_wallet_id !== walletId) return null;
+
+  const eventId = notification.event_id || notification.id;
+  const record = {
+    id: eventId ? `${walletId}:${eventId}` : `${walletId}:${generateIdempotencyKey()}`,
+    user_wallet_id: walletId,
+    type: notification.type,
+    message: notification.message || getNotificationFallbackMessage(notification),
+    severity: NOTIFICATION_SEVERITY[notification.type] || 'info',
+    link: getNotificationLink(notification),
+    received_at: notification.timestamp || new Date().toISOString(),
+    read: false
+  };
+
+  if (notificationHistory.some((entry) => entry.id === record.id)) return null;
+
+  notificationHistory.unshift(record);
+  const overflow = notificationHistory.splice(NOTIFICATION_HISTORY_LIMIT);
+  renderNotificationCenter();
+
+  showDesktopNotification(record);
+
+  await DatabaseAPI.putLocalRecord(NOTIFICATION_HISTORY_STORE, record);
+  overflow.forEach((entry) => DatabaseAPI.deleteLocalRecord(NOTIFICATION_HISTORY_STORE, entry.id));
+  return record;
+}
+
+/**
+ * Load the persisted inbox for a wallet
+ */
+async function loadNotificationHistory(walletId) {
+  const records = await DatabaseAPI.getLocalRecords(NOTIFICATION_HISTORY_STORE, 'user_wallet_id', walletId);
+  const recordedMeanwhile = notificationHistory.filter((entry) =>
+    entry.user_wallet_id === walletId && !records.some((record) => record.id === entry.id)
+  );
+  notificationHistory = [...recordedMeanwhile, ...records]
+    .sort((a, b) => new Date(b.received_at) - new Date(a.received_at));
+
+  const bell = document.getElementById('notification-bell');
+  if (bell) {
+    bell.style.display = 'flex';
+  }
+  renderNotificationCenter();
+}
+
+function clearNotificationCenter() {
+  notificationHistory = [];
+  closeNotificationDrawer();
+  const bell = document.getElementById('notification-bell');
+  if (bell) {
+    bell.style.display = 'none';
+  }
+  renderNotificationCenter();
+}
+
+function renderNotificationCenter() {
+  const unreadCount = notificationHistory.filter((entry) => !entry.read).length;
+  const badge = document.getElementById('notification-badge');
+  if (badge) {
+    badge.textContent = unreadCount > 99 ? '99+' : String(unreadCount);
+    badge.hidden = unreadCount === 0;
+  }
+
+  const bell = document.getElementById('notification-bell');
+  if (bell) {
+    bell.setAttribute('aria-label', unreadCount ? `Notifications (${unreadCount} unread)` : 'Notifications');
+  }
+
+  const list = document.getElementById('notification-drawer-list');
+  if (!list) return;
+
+  if (!notificationHistory.length) {
+    list.innerHTML = html`
+      <div class="empty-state">
+        <span class="material-symbols-outlined">notifications_off</span>
+        <p>No notifications yet</p>
+      </div>
+    `;
+    return;
+  }
+
+  list.innerHTML = html`${notificationHistory.map(renderNotificationEntry)}`;
+}
+
+const NOTIFICATION_SEVERITY_ICONS = { success: 'check_circle', error: 'error', warning: 'warning', info: 'info' };
+
+function renderNotificationEntry(entry) {
+  const linkLabel = entry.link?.kind === 'bundler' ? 'View bundler' : 'View token';
+  return html`
+    <div class="notification-entry ${entry.read ? '' : 'unread'}" data-notification-id="${entry.id}">
+      <span class="material-symbols-outlined notification-entry-icon ${entry.severity}">${NOTIFICATION_SEVERITY_ICONS[entry.severity] || NOTIFICATION_SEVERITY_ICONS.info}</span>
+      <div class="notification-entry-body">
+        <div class="notification-entry-message">${entry.message}</div>
+        <div class="notification-entry-meta">${entry.type} · ${new Date(entry.received_at).toLocaleString()}</div>
+        <div class="notification-entry-actions">
+          ${entry.link ? html`<button class="link-button" type="button" data-action="open">${linkLabel}</button>` : ''}
+          ${entry.read ? '' : html`<button class="link-button" type="button" data-action="read">Mark as read</button>`}
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+async function markNotificationRead(notificationId) {
+  const entry = notificationHistory.find((item) => item.id === notificationId);
+  if (!entry || entry.read) return;
+
+  entry.read = true;
+  renderNotificationCenter();
+  await DatabaseAPI.putLocalRecord(NOTIFICATION_HISTORY_STORE, entry);
+}
+
+async function markAllNotificationsRead() {
+  const unread = notificationHistory.filter((entry) => !entry.read);
+  if (!unread.length) return;
+
+  unread.forEach((entry) => { entry.read = true; });
+  renderNotificationCenter();
+  await Promise.all(unread.map((entry) => DatabaseAPI.putLocalRecord(NOTIFICATION_HISTORY_STORE, entry)));
+}
+
+/**
+ * Scroll to the bundler or token a notification refers to
+ */
+function openNotificationLink(link) {
+  if (!link) return;
+
+  let selector = null;
+  if (link.kind === 'bundler') {
+    selector = `[data-bundler-id="${CSS.escape(link.id)}"]`;
+  } else if (link.kind === 'token') {
+    selector = link.id
+      ? `[data-token-id="${CSS.escape(link.id)}"]`
+      : link.contractAddress ? `[data-contract-address="${CSS.escape(link.contractAddress)}"]` : null;
+  }
+
+  const target = selector ? document.querySelector(selector) : null;
+  if (!target) {
+    showSnackbar(`This ${link.kind} is no longer on your dashboard`, 'info');
+    return;
+  }
+
+  closeNotificationDrawer();
+  target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  target.classList.add('highlighted');
+  setTimeout(() => target.classList.remove('highlighted'), 2000);
+}
+
+function openNotificationDrawer() {
+  const drawer = document.getElementById('notification-drawer');
+  if (!drawer) return;
+  renderNotificationCenter();
+  drawer.classList.add('open');
+  drawer.setAttribute('aria-hidden', 'false');
+  document.getElementById('notification-bell')?.setAttribute('aria-expanded', 'true');
+}
+
+function closeNotificationDrawer() {
+  const drawer = document.getElementById('notification-drawer');
+  if (!drawer) return;
+  drawer.classList.remove('open');
+  drawer.setAttribute('aria-hidden', 'true');
+  document.getElementById('notification-bell')?.setAttribute('aria-expanded', 'false');
+}
+
+function toggleNotificationDrawer() {
+  const drawer = document.getElementById('notification-drawer');
+  if (drawer?.classList.contains('open')) {
+    closeNotificationDrawer();
+  } else {
+    openNotificationDrawer();
+  }
+}
+
+// ========== DESKTOP NOTIFICATIONS ==========
+
+function isDesktopNotificationSupported() {
+  return typeof window.Notification === 'function';
+}
+
+function readDesktopNotificationPrefs() {
+  const defaults = {
+    enabled: false,
+    types: Object.fromEntries(DESKTOP_NOTIFICATION_TYPES.map(({ type }) => [type, true]))
+  };
+
+  try {
+    const stored = JSON.parse(localStorage.getItem(DESKTOP_NOTIFICATION_PREFS_KEY) || '{}');
+    return { enabled: Boolean(stored.enabled), types: { ...defaults.types, ...stored.types } };
+  } catch (error) {
+    console.warn('⚠️ Failed to read desktop notification preferences:', error);
+    return defaults;
+  }
+}
+
+function writeDesktopNotificationPrefs(prefs) {
+  localStorage.setItem(DESKTOP_NOTIFICATION_PREFS_KEY, JSON.stringify(prefs));
+}
+
+/**
+ * Show a browser notification for a recorded inbox entry while the tab is in the background
+ */
+function showDesktopNotification(record) {
+  if (!isDesktopNotificationSupported() || Notification.permission !== 'granted') return;
+  if (!document.hidden) return;
+
+  const prefs = readDesktopNotificationPrefs();
+  const typeConfig = DESKTOP_NOTIFICATION_TYPES.find(({ type }) => type === record.type);
+  if (!prefs.enabled || !typeConfig || !prefs.types[record.type]) return;
+
+  try {
+    const desktopNotification = new Notification(`Solanafied · ${typeConfig.label}`, {
+      body: record.message,
+      tag: record.id
+    });
+
+    desktopNotification.onclick = () => {
+      window.focus();
+      desktopNotification.close();
+      markNotificationRead(record.id);
+      if (record.link) {
+        openNotificationLink(record.link);
+      } else {
+        openNotificationDrawer();
+      }
+    };
+  } catch (error) {
+    console.warn('⚠️ Failed to show desktop notification:', error);
+  }
+}
+
+function renderDesktopNotificationSettings() {
+  const toggle = document.getElementById('desktop-notifications-toggle');
+  const hint = document.getElementById('desktop-notifications-hint');
+  const typesContainer = document.getElementById('desktop-notification-types');
+  if (!toggle || !hint || !typesContainer) return;
+
+  if (!isDesktopNotificationSupported()) {
+    toggle.checked = false;
+    toggle.disabled = true;
+    hint.textContent = 'This browser does not support desktop notifications.';
+    typesContainer.innerHTML = '';
+    return;
+  }
+
+  const prefs = readDesktopNotificationPrefs();
+  const permission = Notification.permission;
+  toggle.checked = prefs.enabled && permission === 'granted';
+  toggle.disabled = permission === 'denied';
+  hint.textContent = permission === 'denied'
+    ? 'Notifications are blocked for this site. Allow them in your browser settings to turn this on.'
+    : 'Shown only while Solanafied is in a background tab.';
+
+  typesContainer.innerHTML = html`${DESKTOP_NOTIFICATION_TYPES.map(({ type, label }) => html`
+    <label class="notification-setting">
+      <input type="checkbox" data-notification-type="${type}" ${prefs.types[type] ? 'checked' : ''} ${toggle.checked ? '' : 'disabled'}>
+      <span>${label}</span>
+    </label>
+  `)}`;
+}
+
+/**
+ * Turn desktop notifications on or off; enabling asks for permission from the click gesture
+ */
+async function setDesktopNotificationsEnabled(enabled) {
+  const prefs = readDesktopNotificationPrefs();
+
+  if (enabled && Notification.permission !== 'granted') {
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') {
+      showSnackbar('Desktop notifications were not allowed', 'info');
+      enabled = false;
+    }
+  }
+
+  prefs.enabled = enabled;
+  writeDesktopNotificationPrefs(prefs);
+  renderDesktopNotificationSettings();
+}
+
+function setDesktopNotificationType(type, enabled) {
+  const prefs = readDesktopNotificationPrefs();
+  prefs.types[type] = enabled;
+  writeDesktopNotificationPrefs(prefs);
+}
+
+function toggleNotificationSettings() {
+  const panel = document.getElementById('notification-settings');
+  if (!panel) return;
+  panel.hidden = !panel.hidden;
+  document.getElementById('notification-settings-toggle')?.setAttribute('aria-expanded', String(!panel.hidden));
+  if (!panel.hidden) {
+    renderDesktopNotificationSettings();
+  }
+}
+
+function initializeNotificationCenter() {
+  const bell = document.getElementById('notification-bell');
+  if (!bell || bell.dataset.initialized) return;
+
+  bell.addEventListener('click', toggleNotificationDrawer);
+  bell.dataset.initialized = 'true';
+
+  document.getElementById('notification-drawer-close')?.addEventListener('click', closeNotificationDrawer);
+  document.getElementById('notification-mark-all')?.addEventListener('click', markAllNotificationsRead);
+  document.getElementById('notification-settings-toggle')?.addEventListener('click', toggleNotificationSettings);
+  document.getElementById('desktop-notifications-toggle')?.addEventListener('change', (event) => {
+    setDesktopNotificationsEnabled(event.target.checked);
+  });
+  document.getElementById('desktop-notification-types')?.addEventListener('change', (event) => {
+    const type = event.target.dataset.notificationType;
+    if (type) {
+      setDesktopNotificationType(type, event.target.checked);
+    }
+  });
+
+  document.getElementById('notification-drawer-list')?.addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-action]');
+    const entryEl = event.target.closest('[data-notification-id]');
+    if (!button || !entryEl) return;
+
+    const entry = notificationHistory.find((item) => item.id === entryEl.dataset.notificationId);
+    if (!entry) return;
+
+    if (button.dataset.action === 'open') {
+      markNotificationRead(entry.id);
+      openNotificationLink(entry.link);
+    } else if (button.dataset.action === 'read') {
+      markNotificationRead(entry.id);
+    }
+  });
+
+  document.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') {
+      closeNotificationDrawer();
+    }
+  });
+}
+
 // ========== DATA LOADING ==========
 
 /**
@@ -1032,81 +1711,197 @@ async function loadDashboardData() {
       devWalletProfile.style.display = currentUser.dev_public_key ? 'flex' : 'none';
     }
     
+    // Pick up jobs this wallet submitted before a reload
+    if (window.JobTracker) {
+      JobTracker.resumeJobs(currentUser.user_wallet_id);
+    }
+
     // Load data in parallel
     await Promise.all([
       loadBundlers(),
-      loadTokens()
+      loadTokens(),
+      loadActivity(),
+      loadProfileChart(),
+      loadMotherWalletPool(),
+      loadScheduledLaunches()
     ]);
-    
   } catch (error) {
     console.error('❌ Failed to load dashboard data:', error);
     showSnackbar('Failed to load some data', 'warning');
+  } finally {
+    // Replay notifications buffered while the dashboard was loading, even if part of it failed
+    if (window.NotificationSystem) {
+      NotificationSystem.setNotificationHandlersReady(true);
+    }
   }
 }
 
+function bundlerHoldsBalance(bundler) {
+  return parseFloat(bundler.total_balance_sol) > 0 || parseFloat(bundler.total_balance_spl) > 0;
+}
+
 /**
- * Load bundlers data
+ * One bundler row. Archived bundlers get a reactivate action and a leftover-balance warning.
  */
-async function loadBundlers() {
-  try {
-    const bundlersList = document.getElementById('bundlers-list');
+function renderBundlerItem(bundler) {
+  const hasSplTokens = parseFloat(bundler.total_balance_spl) > 0;
+  const archived = !bundler.is_active;
+  const holdsBalance = archived && bundlerHoldsBalance(bundler);
+  
+  return html`
+    <div class="list-item has-chart ${archived ? 'archived' : ''}" data-bundler-id="${bundler.id}">
+      <div class="list-item-icon">
+        <span class="material-symbols-outlined">${archived ? 'inventory' : 'inventory_2'}</span>
+      </div>
+      <div class="list-item-content clickable" role="button" tabindex="0"
+        onclick="showBundlerDetailModal(${bundler.id})"
+        onkeydown="if (event.key === 'Enter') showBundlerDetailModal(${bundler.id})">
+        <div class="list-item-title">${bundler.token_name || 'Unnamed Bundler'}</div>
+        <div class="list-item-subtitle">
+          SOL: ${DatabaseAPI.formatBalance(bundler.total_balance_sol)} | 
+          SPL: ${DatabaseAPI.formatBalance(bundler.total_balance_spl)}
+        </div>
+        ${holdsBalance ? html`
+          <div class="bundler-leftover-warning">
+            <span class="material-symbols-outlined">warning</span>
+            Still holds funds in its child wallets
+          </div>
+        ` : ''}
+      </div>
+      <div class="list-item-trailing">
+        ${hasSplTokens ? html`
+          <button class="secondary-button sell-token-btn" onclick="showSellSplTokenModal({ source: 'bundler', bundlerId: ${bundler.id} })">
+            <span class="material-symbols-outlined">sell</span>
+            Sell Token
+          </button>
+        ` : ''}
+        <span class="status-chip ${archived ? 'archived' : 'active'}">
+          ${archived ? 'Archived' : 'Active'}
+        </span>
+        <button class="icon-button" onclick="toggleBundlerChart(${bundler.id})" aria-label="Balance history" aria-expanded="${expandedBundlerCharts.has(bundler.id)}">
+          <span class="material-symbols-outlined">show_chart</span>
+        </button>
+        ${archived ? html`
+          <button class="icon-button" onclick="reactivateBundler(${bundler.id})" aria-label="Reactivate bundler">
+            <span class="material-symbols-outlined">play_arrow</span>
+          </button>
+        ` : html`
+          <button class="icon-button" onclick="toggleBundlerStatus(${bundler.id}, false)" aria-label="Archive bundler">
+            <span class="material-symbols-outlined">pause</span>
+          </button>
+        `}
+      </div>
+      <div class="balance-chart-panel" id="bundler-chart-${bundler.id}" ${expandedBundlerCharts.has(bundler.id) ? '' : 'hidden'}></div>
+    </div>
+  `;
+}
+
+function renderBundlerViewChips(activeCount, archivedCount) {
+  const chips = document.getElementById('bundler-view-chips');
+  if (!chips) return;
+  
+  const views = [
+    { view: 'active', label: `Active (${activeCount})` },
+    { view: 'archived', label: `Archived (${archivedCount})` }
+  ];
+  chips.innerHTML = html`${views.map(({ view, label }) => html`
+    <button class="chip ${bundlerView === view ? 'active' : ''}" type="button" aria-pressed="${bundlerView === view}"
+      onclick="setBundlerView(${jsArg(view)})">${label}</button>
+  `)}`;
+}
+
+function renderArchivedBundlers(bundlersList, archivedBundlers) {
+  if (archivedBundlers.length === 0) {
+    bundlersList.innerHTML = html`
+      <div class="empty-state">
+        <span class="material-symbols-outlined">inventory</span>
+        <p>No archived bundlers</p>
+      </div>
+    `;
+    return;
+  }
+  
+  bundlersList.innerHTML = html`
+    ${renderArchivedSummary(archivedBundlers)}
+    ${archivedBundlers.map(renderBundlerItem)}
+  `;
+}
+
+function renderArchivedSummary(archivedBundlers) {
+  const totalSol = archivedBundlers.reduce((sum, bundler) => sum + (parseFloat(bundler.total_balance_sol) || 0), 0);
+  const totalSpl = archivedBundlers.reduce((sum, bundler) => sum + (parseFloat(bundler.total_balance_spl) || 0), 0);
+  const withFunds = archivedBundlers.filter(bundlerHoldsBalance).length;
+  
+  return html`
+    <div class="archived-bundlers-header">
+      <div class="archived-bundlers-summary">
+        <span>${archivedBundlers.length} archived</span>
+        <span>SOL: ${DatabaseAPI.formatBalance(totalSol)}</span>
+        <span>SPL: ${DatabaseAPI.formatBalance(totalSpl)}</span>
+      </div>
+      ${withFunds ? html`
+        <div class="archived-bundlers-warning" role="alert">
+          <span class="material-symbols-outlined">warning</span>
+          <span>${withFunds} archived bundler${withFunds === 1 ? ' still holds' : 's still hold'} SOL or SPL. Sell the tokens or reactivate the bundler to put the funds back to work.</span>
+        </div>
+      ` : ''}
+    </div>
+  `;
+}
+
+function setBundlerView(view) {
+  bundlerView = view;
+  renderBundlers();
+}
+
+/**
+ * Render the bundlers list from currentUser.bundlers for the selected tab
+ */
+function renderBundlers() {
+  const bundlersList = document.getElementById('bundlers-list');
+  if (!bundlersList) return;
+  
+  const bundlers = currentUser?.bundlers || [];
+  const activeBundlers = bundlers.filter(bundler => bundler.is_active);
+  const archivedBundlers = bundlers.filter(bundler => !bundler.is_active);
+  renderBundlerViewChips(activeBundlers.length, archivedBundlers.length);
+  renderBundlerJobs();
+  
+  if (bundlerView === 'archived') {
+    renderArchivedBundlers(bundlersList, archivedBundlers);
+  } else if (activeBundlers.length === 0) {
+    bundlersList.innerHTML = html`
+      <div class="empty-state">
+        <span class="material-symbols-outlined">inventory_2</span>
+        <p>No active bundlers found</p>
+        <button onclick="createBundler()" class="empty-action-btn">Create your first bundler</button>
+      </div>
+    `;
+    return;
+  } else {
+    bundlersList.innerHTML = html`${activeBundlers.map(renderBundlerItem)}`;
+  }
+  
+  bundlers
+    .filter((bundler) => expandedBundlerCharts.has(bundler.id) && document.getElementById(`bundler-chart-${bundler.id}`))
+    .forEach((bundler) => loadBundlerChart(bundler.id));
+}
+
+/**
+ * Load bundlers data
+ */
+async function loadBundlers() {
+  try {
+    const bundlersList = document.getElementById('bundlers-list');
     bundlersList.innerHTML = '<div class="loading-state"><div class="spinner"></div><span>Loading bundlers...</span></div>';
     
     const bundlers = await DatabaseAPI.getUserBundlers(currentUser.user_wallet_id);
     mergeUserData({ bundlers });
-    
-    // Filter out inactive bundlers - only show active ones
-    const activeBundlers = bundlers.filter(bundler => bundler.is_active);
-    
-    if (activeBundlers.length === 0) {
-      bundlersList.innerHTML = `
-        <div class="empty-state">
-          <span class="material-symbols-outlined">inventory_2</span>
-          <p>No active bundlers found</p>
-          <button onclick="createBundler()" class="empty-action-btn">Create your first bundler</button>
-        </div>
-      `;
-      return;
-    }
-    
-    bundlersList.innerHTML = activeBundlers.map(bundler => {
-      const hasSplTokens = parseFloat(bundler.total_balance_spl) > 0;
-      
-      return `
-        <div class="list-item" data-bundler-id="${bundler.id}">
-          <div class="list-item-icon">
-            <span class="material-symbols-outlined">inventory_2</span>
-          </div>
-          <div class="list-item-content">
-            <div class="list-item-title">${bundler.token_name || 'Unnamed Bundler'}</div>
-            <div class="list-item-subtitle">
-              SOL: ${DatabaseAPI.formatBalance(bundler.total_balance_sol)} | 
-              SPL: ${DatabaseAPI.formatBalance(bundler.total_balance_spl)}
-            </div>
-          </div>
-          <div class="list-item-trailing">
-            ${hasSplTokens ? `
-              <button class="secondary-button sell-token-btn" onclick="showSellSplTokenModal({ source: 'bundler', bundlerId: ${bundler.id} })">
-                <span class="material-symbols-outlined">sell</span>
-                Sell Token
-              </button>
-            ` : ''}
-            <span class="status-chip active">
-              Active
-            </span>
-            <button class="icon-button" onclick="toggleBundlerStatus(${bundler.id}, false)">
-              <span class="material-symbols-outlined">
-                pause
-              </span>
-            </button>
-          </div>
-        </div>
-      `;
-    }).join('');
+    renderBundlers();
     
   } catch (error) {
     console.error('❌ Failed to load bundlers:', error);
-    document.getElementById('bundlers-list').innerHTML = `
+    document.getElementById('bundlers-list').innerHTML = html`
       <div class="error-state">
         <span class="material-symbols-outlined">error</span>
         <p>Failed to load bundlers</p>
@@ -1138,50 +1933,1046 @@ async function loadTokens() {
     tokensList.innerHTML = '<div class="loading-state"><div class="spinner"></div><span>Loading tokens...</span></div>';
     
     const tokens = await DatabaseAPI.getUserTokens(currentUser.user_wallet_id);
+    mergeUserData({ tokens });
+    renderTokens();
     
-    if (tokens.length === 0) {
-      tokensList.innerHTML = `
-        <div class="empty-state">
-          <span class="material-symbols-outlined">token</span>
-          <p>No tokens found</p>
-          <button onclick="addToken()" class="empty-action-btn">Add your first token</button>
+  } catch (error) {
+    console.error('❌ Failed to load tokens:', error);
+    document.getElementById('tokens-list').innerHTML = html`
+      <div class="error-state">
+        <span class="material-symbols-outlined">error</span>
+        <p>Failed to load tokens</p>
+        <button onclick="loadTokens()" class="retry-btn">Retry</button>
+      </div>
+    `;
+  }
+}
+
+function renderTokens() {
+  const tokensList = document.getElementById('tokens-list');
+  if (!tokensList) return;
+  
+  const tokens = currentUser?.tokens || [];
+  if (tokens.length === 0) {
+    tokensList.innerHTML = html`
+      <div class="empty-state">
+        <span class="material-symbols-outlined">token</span>
+        <p>No tokens found</p>
+        <button onclick="addToken()" class="empty-action-btn">Add your first token</button>
+      </div>
+    `;
+    return;
+  }
+  
+  tokensList.innerHTML = html`${tokens.map(renderTokenItem)}`;
+}
+
+function renderTokenItem(token) {
+  const imageUrl = sanitizeImageUrl(token.image_url);
+  return html`
+    <div class="list-item" data-token-id="${token.id}" data-contract-address="${token.contract_address || ''}">
+      <div class="list-item-icon">
+        ${imageUrl ? 
+          html`<img src="${imageUrl}" alt="${token.name}" referrerpolicy="no-referrer" style="width: 100%; height: 100%; border-radius: var(--radius-sm);">` :
+          html`<span class="material-symbols-outlined">token</span>`
+        }
+      </div>
+      <div class="list-item-content clickable" role="button" tabindex="0"
+        onclick="showTokenDetailModal(${token.id})"
+        onkeydown="if (event.key === 'Enter') showTokenDetailModal(${token.id})">
+        <div class="list-item-title">${token.name} (${token.symbol})</div>
+        <div class="list-item-subtitle">
+          ${token.description ? DatabaseAPI.truncateAddress(token.description, 30, 0) : 'No description'}
+        </div>
+      </div>
+      <div class="list-item-trailing">
+        <span class="balance-value">${DatabaseAPI.formatBalance(token.dev_buy_amount)}</span>
+      </div>
+    </div>
+  `;
+}
+
+// ========== TOKEN DETAIL ==========
+
+/**
+ * Open the detail view for one token: metadata, contract links, the linked bundler and sell controls
+ */
+async function showTokenDetailModal(tokenId) {
+  const token = currentUser?.tokens?.find((entry) => Number(entry.id) === Number(tokenId));
+  if (!token) {
+    showSnackbar('Token not found', 'error');
+    return;
+  }
+
+  closeTokenDetailModal();
+  tokenDetailState = { tokenId: token.id, bundlerId: null, bundlerLoading: true };
+
+  tokenDetailModal = document.createElement('div');
+  tokenDetailModal.className = 'modal-overlay';
+  tokenDetailModal.id = 'token-detail-modal';
+  tokenDetailModal.innerHTML = renderTokenDetailShell(token);
+
+  tokenDetailModal.addEventListener('click', (event) => {
+    if (event.target === tokenDetailModal) closeTokenDetailModal();
+  });
+  document.addEventListener('keydown', handleTokenDetailKeydown);
+
+  document.body.appendChild(tokenDetailModal);
+  renderTokenDetail();
+  await loadTokenDetailBundler(token);
+}
+
+function renderTokenDetailShell(token) {
+  return html`
+    <div class="modal-content token-detail-content" role="dialog" aria-modal="true" aria-labelledby="token-detail-title">
+      <div class="modal-header">
+        <span class="material-symbols-outlined">token</span>
+        <h3 id="token-detail-title">${token.name}</h3>
+        <button class="icon-button" type="button" onclick="editToken(${Number(token.id)})" aria-label="Edit token">
+          <span class="material-symbols-outlined">edit</span>
+        </button>
+        <button class="modal-close" type="button" onclick="closeTokenDetailModal()" aria-label="Close">
+          <span class="material-symbols-outlined">close</span>
+        </button>
+      </div>
+      <div class="modal-body" id="token-detail-body"></div>
+    </div>
+  `;
+}
+
+function handleTokenDetailKeydown(event) {
+  if (event.key === 'Escape') {
+    closeTokenDetailModal();
+  }
+}
+
+function closeTokenDetailModal() {
+  document.removeEventListener('keydown', handleTokenDetailKeydown);
+  if (tokenDetailModal) {
+    tokenDetailModal.remove();
+    tokenDetailModal = null;
+  }
+  tokenDetailState = null;
+}
+
+/**
+ * Find the bundler that launched the token: its activity entries name it, older tokens
+ * without activity fall back to a bundler carrying the token's name or symbol
+ */
+async function loadTokenDetailBundler(token) {
+  let bundlerId = null;
+  try {
+    const result = await DatabaseAPI.getUserActivity(currentUser.user_wallet_id, { tokenId: token.id });
+    bundlerId = result.items.find((entry) => entry.bundler_id)?.bundler_id ?? null;
+  } catch (error) {
+    console.error('❌ Failed to load token activity:', error);
+  }
+
+  if (bundlerId === null) {
+    const names = [token.name, token.symbol].filter(Boolean).map((value) => value.toLowerCase());
+    bundlerId = currentUser?.bundlers?.find((bundler) => names.includes((bundler.token_name || '').toLowerCase()))?.id ?? null;
+  }
+
+  // The modal may have been closed or replaced while the activity was loading
+  if (!tokenDetailState || Number(tokenDetailState.tokenId) !== Number(token.id)) return;
+
+  tokenDetailState.bundlerId = bundlerId;
+  tokenDetailState.bundlerLoading = false;
+  renderTokenDetail();
+}
+
+/**
+ * Social links may be stored as full URLs, bare domains or @handles
+ */
+function getTokenSocialUrl(kind, value) {
+  const trimmed = String(value || '').trim();
+  if (!trimmed) return null;
+  if (/^https?:\/\//i.test(trimmed)) return sanitizeLinkUrl(trimmed);
+
+  const handle = trimmed.replace(/^@/, '');
+  if (kind === 'twitter' && /^\w{1,15}$/.test(handle)) return `https://x.com/${handle}`;
+  if (kind === 'telegram' && /^\w{5,32}$/.test(handle)) return `https://t.me/${handle}`;
+  return sanitizeLinkUrl(`https://${trimmed}`);
+}
+
+/**
+ * The sell endpoints are not scoped to a contract: they sell whatever SPL the wallets hold,
+ * which is the most recently launched token (tokens are loaded newest first)
+ */
+function isCurrentlyHeldToken(token) {
+  const heldToken = currentUser?.tokens?.find((entry) => entry.contract_address);
+  return Boolean(token?.contract_address) && Number(heldToken?.id) === Number(token.id);
+}
+
+function renderTokenHoldingRow(label, balance, source, bundlerId = null) {
+  return html`
+    <div class="token-holding-row">
+      <span class="token-holding-label">${label}</span>
+      <span class="token-holding-balance">${DatabaseAPI.formatBalance(balance)} SPL</span>
+      <button class="secondary-button" type="button" onclick="sellFromTokenDetail(${jsArg(source)}, ${bundlerId ?? 'null'})"
+        ${parseFloat(balance || 0) > 0 ? '' : 'disabled'}>
+        <span class="material-symbols-outlined">sell</span>
+        Sell
+      </button>
+    </div>
+  `;
+}
+
+function renderTokenHoldings(token, bundler) {
+  if (!isCurrentlyHeldToken(token)) {
+    return html`
+      <p class="token-holdings-note">
+        ${token.contract_address
+          ? 'Your wallets now hold a newer token. Sell controls are shown on the token they currently hold.'
+          : 'Sell controls appear once this token is launched.'}
+      </p>
+    `;
+  }
+
+  return html`
+    <div class="token-holdings">
+      ${renderTokenHoldingRow('Developer wallet', currentUser.dev_balance_spl, 'developer')}
+      ${renderTokenHoldingRow('Distributor wallet', currentUser.distributor_balance_spl, 'distributor')}
+      ${bundler ? renderTokenHoldingRow(`Bundler · ${bundler.token_name || 'Unnamed Bundler'}`, bundler.total_balance_spl, 'bundler', Number(bundler.id)) : ''}
+    </div>
+  `;
+}
+
+function renderTokenDetail() {
+  const body = document.getElementById('token-detail-body');
+  const token = tokenDetailState && currentUser?.tokens?.find((entry) => Number(entry.id) === Number(tokenDetailState.tokenId));
+  if (!body || !token) return;
+
+  const bundler = tokenDetailState.bundlerId !== null
+    ? currentUser.bundlers?.find((entry) => Number(entry.id) === Number(tokenDetailState.bundlerId))
+    : null;
+  body.innerHTML = renderTokenDetailBody(token, bundler, tokenDetailState.bundlerLoading);
+}
+
+function renderTokenDetailBody(token, bundler, bundlerLoading = false) {
+  const imageUrl = sanitizeImageUrl(token.image_url);
+  const address = token.contract_address;
+  const socials = [
+    { kind: 'twitter', icon: 'alternate_email', label: 'Twitter' },
+    { kind: 'telegram', icon: 'send', label: 'Telegram' },
+    { kind: 'website', icon: 'language', label: 'Website' }
+  ].map((social) => ({ ...social, url: getTokenSocialUrl(social.kind, token[social.kind]) }))
+    .filter((social) => social.url);
+
+  return html`
+    <div class="token-detail-header">
+      <div class="token-detail-logo">
+        ${imageUrl
+          ? html`<img src="${imageUrl}" alt="${token.name}" referrerpolicy="no-referrer">`
+          : html`<span class="material-symbols-outlined">token</span>`}
+      </div>
+      <div>
+        <div class="token-detail-symbol">${token.symbol}</div>
+        <p class="token-detail-description">${token.description || 'No description'}</p>
+      </div>
+    </div>
+
+    ${socials.length ? html`
+      <div class="token-detail-socials">
+        ${socials.map((social) => html`
+          <a class="chip" href="${social.url}" target="_blank" rel="noopener noreferrer">
+            <span class="material-symbols-outlined">${social.icon}</span>
+            ${social.label}
+          </a>
+        `)}
+      </div>
+    ` : ''}
+
+    <div class="token-detail-info">
+      <div class="info-row">
+        <label>Contract</label>
+        ${address ? html`
+          <span class="token-detail-address">
+            <span class="key-text" title="${address}">${DatabaseAPI.truncateAddress(address, 6, 6)}</span>
+            <button class="icon-button" type="button" onclick="copyToClipboard(${jsArg(address)})" aria-label="Copy contract address">
+              <span class="material-symbols-outlined">content_copy</span>
+            </button>
+          </span>
+        ` : html`<span class="balance-value">Pending launch</span>`}
+      </div>
+      <div class="info-row">
+        <label>Dev buy</label>
+        <span class="balance-value">${DatabaseAPI.formatBalance(token.dev_buy_amount)} SOL</span>
+      </div>
+      <div class="info-row">
+        <label>Bundler</label>
+        ${bundlerLoading
+          ? html`<span class="balance-value">Looking up...</span>`
+          : bundler
+            ? html`<a href="#" class="balance-value" onclick="event.preventDefault(); closeTokenDetailModal(); showBundlerDetailModal(${Number(bundler.id)})">${bundler.token_name || 'Unnamed Bundler'}</a>`
+            : html`<span class="balance-value">No linked bundler</span>`}
+      </div>
+    </div>
+
+    ${address ? html`
+      <div class="token-detail-links">
+        <a class="secondary-button" href="${getPumpFunUrl(address)}" target="_blank" rel="noopener noreferrer">
+          <span class="material-symbols-outlined">rocket_launch</span>
+          Pump.fun
+        </a>
+        <a class="secondary-button" href="${getExplorerTokenUrl(address)}" target="_blank" rel="noopener noreferrer">
+          <span class="material-symbols-outlined">open_in_new</span>
+          Explorer
+        </a>
+      </div>
+    ` : ''}
+
+    <h4 class="bundler-detail-heading">Holdings</h4>
+    ${renderTokenHoldings(token, bundler)}
+  `;
+}
+
+/**
+ * Hand off to the sell modal; the detail view closes so Escape and overlay clicks reach the sell modal
+ */
+function sellFromTokenDetail(source, bundlerId = null) {
+  const token = tokenDetailState && currentUser?.tokens?.find((entry) => Number(entry.id) === Number(tokenDetailState.tokenId));
+  if (!isCurrentlyHeldToken(token)) {
+    showSnackbar('Your wallets no longer hold this token', 'warning');
+    return;
+  }
+
+  closeTokenDetailModal();
+  showSellSplTokenModal({ source, bundlerId });
+}
+
+// ========== ACTIVITY TIMELINE ==========
+
+/**
+ * Load the first page of activity (reset) or append the next page
+ */
+async function loadActivity({ append = false } = {}) {
+  const activityList = document.getElementById('activity-list');
+  if (!activityList || !currentUser || activityState.loading) return;
+
+  activityState.loading = true;
+  const page = append ? activityState.page + 1 : 0;
+  if (!append) {
+    activityList.innerHTML = '<div class="loading-state"><div class="spinner"></div><span>Loading activity...</span></div>';
+  }
+
+  try {
+    const result = await DatabaseAPI.getUserActivity(currentUser.user_wallet_id, {
+      page,
+      pageSize: ACTIVITY_PAGE_SIZE,
+      types: activityState.type ? [activityState.type] : []
+    });
+
+    activityState.page = page;
+    activityState.items = append ? [...activityState.items, ...result.items] : result.items;
+    activityState.hasMore = result.hasMore;
+    renderActivity();
+  } catch (error) {
+    console.error('❌ Failed to load activity:', error);
+    activityList.innerHTML = html`
+      <div class="error-state">
+        <span class="material-symbols-outlined">error</span>
+        <p>Failed to load activity</p>
+        <button onclick="loadActivity()" class="retry-btn">Retry</button>
+      </div>
+    `;
+  } finally {
+    activityState.loading = false;
+  }
+}
+
+function loadMoreActivity() {
+  loadActivity({ append: true });
+}
+
+function setActivityFilter(type) {
+  activityState.type = type || null;
+  document.querySelectorAll('#activity-filters .chip').forEach((chip) => {
+    const active = (chip.dataset.activityType || null) === activityState.type;
+    chip.classList.toggle('active', active);
+    chip.setAttribute('aria-pressed', String(active));
+  });
+  loadActivity();
+}
+
+function formatActivityAmount(entry) {
+  const parts = [];
+  if (entry.amount_sol !== null && entry.amount_sol !== undefined) {
+    parts.push(`${DatabaseAPI.formatBalance(entry.amount_sol)} SOL`);
+  }
+  if (entry.amount_spl !== null && entry.amount_spl !== undefined) {
+    parts.push(`${DatabaseAPI.formatBalance(entry.amount_spl)} SPL`);
+  }
+  return parts.join(' / ');
+}
+
+function renderActivity() {
+  const activityList = document.getElementById('activity-list');
+  const loadMoreBtn = document.getElementById('activity-load-more');
+  if (!activityList) return;
+
+  if (loadMoreBtn) {
+    loadMoreBtn.style.display = activityState.hasMore ? 'flex' : 'none';
+  }
+
+  if (!activityState.items.length) {
+    activityList.innerHTML = html`
+      <div class="empty-state">
+        <span class="material-symbols-outlined">receipt_long</span>
+        <p>${activityState.type ? 'No activity of this type yet' : 'No activity yet'}</p>
+      </div>
+    `;
+    return;
+  }
+
+  activityList.innerHTML = html`${activityState.items.map(renderActivityEntry)}`;
+}
+
+function renderActivityEntry(entry) {
+  const typeConfig = ACTIVITY_TYPES.find(({ type }) => type === entry.type) || { label: entry.type, icon: 'receipt_long' };
+  const amount = formatActivityAmount(entry);
+  const related = [
+    entry.bundler_id ? `Bundler #${entry.bundler_id}` : null,
+    entry.token_id ? `Token #${entry.token_id}` : null
+  ].filter(Boolean).join(' · ');
+
+  return html`
+    <div class="activity-entry ${entry.status}">
+      <span class="material-symbols-outlined activity-entry-icon">${typeConfig.icon}</span>
+      <div class="activity-entry-body">
+        <div class="activity-entry-title">
+          <span>${typeConfig.label}</span>
+          <span class="status-chip ${entry.status}">${entry.status}</span>
+        </div>
+        <div class="activity-entry-meta">
+          ${amount ? html`<span>${amount}</span>` : ''}
+          ${related ? html`<span>${related}</span>` : ''}
+          <span>${new Date(entry.created_at).toLocaleString()}</span>
+        </div>
+        ${entry.signature ? html`
+          <a class="activity-entry-link" href="${getExplorerTxUrl(entry.signature)}" target="_blank" rel="noopener noreferrer">
+            <span class="material-symbols-outlined" aria-hidden="true">open_in_new</span>
+            ${DatabaseAPI.truncateAddress(entry.signature, 8, 8)}
+          </a>
+        ` : ''}
+        ${entry.error ? html`<div class="activity-entry-error">${entry.error}</div>` : ''}
+      </div>
+    </div>
+  `;
+}
+
+// ========== BUNDLER DETAIL ==========
+
+/**
+ * Open the drill-down for one bundler: its assigned mother wallets and their child wallets
+ */
+async function showBundlerDetailModal(bundlerId) {
+  const bundler = currentUser?.bundlers?.find((b) => Number(b.id) === Number(bundlerId));
+  if (!bundler) {
+    showSnackbar('Bundler not found', 'error');
+    return;
+  }
+
+  closeBundlerDetailModal();
+  bundlerDetailState = { bundler, motherWallets: [], query: '', sort: 'sol_desc', fundedOnly: false };
+
+  bundlerDetailModal = document.createElement('div');
+  bundlerDetailModal.className = 'modal-overlay';
+  bundlerDetailModal.id = 'bundler-detail-modal';
+  bundlerDetailModal.innerHTML = renderBundlerDetailShell(bundler);
+
+  bundlerDetailModal.addEventListener('click', (event) => {
+    if (event.target === bundlerDetailModal) closeBundlerDetailModal();
+  });
+  bundlerDetailModal.querySelector('#bundler-detail-search').addEventListener('input', (event) => {
+    bundlerDetailState.query = event.target.value.trim();
+    renderBundlerDetailWallets();
+  });
+  bundlerDetailModal.querySelector('#bundler-detail-sort').addEventListener('change', (event) => {
+    bundlerDetailState.sort = event.target.value;
+    renderBundlerDetailWallets();
+  });
+  bundlerDetailModal.querySelector('#bundler-detail-funded').addEventListener('click', (event) => {
+    bundlerDetailState.fundedOnly = !bundlerDetailState.fundedOnly;
+    event.currentTarget.classList.toggle('active', bundlerDetailState.fundedOnly);
+    event.currentTarget.setAttribute('aria-pressed', String(bundlerDetailState.fundedOnly));
+    renderBundlerDetailWallets();
+  });
+  document.addEventListener('keydown', handleBundlerDetailKeydown);
+
+  document.body.appendChild(bundlerDetailModal);
+  await Promise.all([
+    loadBundlerDetailWallets(bundler.id),
+    loadBundlerDetailActivity(bundler.id)
+  ]);
+}
+
+function renderBundlerDetailShell(bundler) {
+  return html`
+    <div class="modal-content bundler-detail-content" role="dialog" aria-modal="true" aria-labelledby="bundler-detail-title">
+      <div class="modal-header">
+        <span class="material-symbols-outlined">inventory_2</span>
+        <h3 id="bundler-detail-title">${bundler.token_name || 'Unnamed Bundler'}</h3>
+        <button class="modal-close" type="button" onclick="closeBundlerDetailModal()" aria-label="Close">
+          <span class="material-symbols-outlined">close</span>
+        </button>
+      </div>
+      <div class="modal-body">
+        <p class="bundler-detail-summary" id="bundler-detail-summary">
+          SOL: ${DatabaseAPI.formatBalance(bundler.total_balance_sol)} | SPL: ${DatabaseAPI.formatBalance(bundler.total_balance_spl)}
+        </p>
+        <div class="bundler-detail-toolbar">
+          <input type="search" id="bundler-detail-search" placeholder="Filter by address" aria-label="Filter wallets by address" />
+          <select id="bundler-detail-sort" aria-label="Sort child wallets">
+            ${Object.entries(BUNDLER_DETAIL_SORTS).map(([key, sort]) => html`<option value="${key}">${sort.label}</option>`)}
+          </select>
+          <button class="chip" type="button" id="bundler-detail-funded" aria-pressed="false">With balance</button>
+        </div>
+        <div class="bundler-detail-wallets" id="bundler-detail-wallets">
+          <div class="loading-state"><div class="spinner"></div></div>
+        </div>
+        <h4 class="bundler-detail-heading">Recent activity</h4>
+        <div class="activity-list" id="bundler-detail-activity">
+          <div class="loading-state"><div class="spinner"></div></div>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+function handleBundlerDetailKeydown(event) {
+  if (event.key === 'Escape') {
+    closeBundlerDetailModal();
+  }
+}
+
+function closeBundlerDetailModal() {
+  document.removeEventListener('keydown', handleBundlerDetailKeydown);
+  if (bundlerDetailModal) {
+    bundlerDetailModal.remove();
+    bundlerDetailModal = null;
+  }
+  bundlerDetailState = null;
+}
+
+async function loadBundlerDetailWallets(bundlerId) {
+  const container = document.getElementById('bundler-detail-wallets');
+  try {
+    const assignments = await DatabaseAPI.getAssignedMotherWallets(bundlerId);
+    const motherWallets = await Promise.all(assignments.map(async (assignment) => ({
+      id: assignment.mother_wallet_id,
+      public_key: assignment.mother_wallets.public_key,
+      balance_sol: assignment.child_balance_sol,
+      balance_spl: assignment.child_balance_spl,
+      children: await DatabaseAPI.getChildWallets(assignment.mother_wallet_id)
+    })));
+
+    // The modal may have been closed or replaced while the wallets were loading
+    if (!bundlerDetailState || Number(bundlerDetailState.bundler.id) !== Number(bundlerId)) return;
+
+    bundlerDetailState.motherWallets = motherWallets;
+    renderBundlerDetailWallets();
+  } catch (error) {
+    console.error('❌ Failed to load bundler wallets:', error);
+    if (container?.isConnected) {
+      container.innerHTML = html`
+        <div class="error-state">
+          <span class="material-symbols-outlined">error</span>
+          <p>Failed to load bundler wallets</p>
+          <button onclick="loadBundlerDetailWallets(${Number(bundlerId)})" class="retry-btn">Retry</button>
         </div>
       `;
-      return;
     }
-    
-    tokensList.innerHTML = tokens.map(token => `
-      <div class="list-item" data-token-id="${token.id}">
+  }
+}
+
+async function loadBundlerDetailActivity(bundlerId) {
+  const container = document.getElementById('bundler-detail-activity');
+  const result = await DatabaseAPI.getUserActivity(currentUser.user_wallet_id, {
+    bundlerId,
+    pageSize: BUNDLER_DETAIL_ACTIVITY_LIMIT
+  });
+  if (!container?.isConnected) return;
+
+  container.innerHTML = result.items.length
+    ? html`${result.items.map(renderActivityEntry)}`
+    : html`
+      <div class="empty-state">
+        <span class="material-symbols-outlined">receipt_long</span>
+        <p>No activity for this bundler yet</p>
+      </div>
+    `;
+}
+
+function renderWalletActions(publicKey) {
+  return html`
+    <button class="icon-button" type="button" onclick="copyToClipboard(${jsArg(publicKey)})" aria-label="Copy address">
+      <span class="material-symbols-outlined">content_copy</span>
+    </button>
+    <a class="icon-button" href="${getExplorerAccountUrl(publicKey)}" target="_blank" rel="noopener" aria-label="View on explorer">
+      <span class="material-symbols-outlined">open_in_new</span>
+    </a>
+  `;
+}
+
+function renderChildWalletRow(child) {
+  return html`
+    <div class="child-wallet-row" data-child-key="${child.public_key}">
+      <span class="child-wallet-address" title="${child.public_key}">${DatabaseAPI.truncateAddress(child.public_key, 6, 6)}</span>
+      <span class="child-wallet-balance">${DatabaseAPI.formatBalance(child.balance_sol)} SOL</span>
+      <span class="child-wallet-balance">${DatabaseAPI.formatBalance(child.balance_spl)} SPL</span>
+      <span class="child-wallet-actions">${renderWalletActions(child.public_key)}</span>
+    </div>
+  `;
+}
+
+/**
+ * Re-render the wallet tree from bundlerDetailState, applying the address filter,
+ * the balance filter and the sort order. A mother wallet whose own address matches
+ * the filter keeps all of its children.
+ */
+function renderBundlerDetailWallets() {
+  const container = document.getElementById('bundler-detail-wallets');
+  if (!container || !bundlerDetailState) return;
+
+  const { motherWallets, sort, fundedOnly } = bundlerDetailState;
+  const query = bundlerDetailState.query.toLowerCase();
+  const compare = BUNDLER_DETAIL_SORTS[sort].compare;
+  const hasBalance = (wallet) => parseFloat(wallet.balance_sol) > 0 || parseFloat(wallet.balance_spl) > 0;
+
+  const groups = motherWallets.map((mother) => {
+    const motherMatches = !query || mother.public_key.toLowerCase().includes(query);
+    const children = mother.children
+      .filter((child) => motherMatches || child.public_key.toLowerCase().includes(query))
+      .filter((child) => !fundedOnly || hasBalance(child))
+      .sort(compare);
+    return { ...mother, children, visible: children.length > 0 || (motherMatches && !fundedOnly) };
+  }).filter((group) => group.visible).sort(compare);
+
+  const childCount = motherWallets.reduce((sum, mother) => sum + mother.children.length, 0);
+  const shownCount = groups.reduce((sum, group) => sum + group.children.length, 0);
+  const summary = document.getElementById('bundler-detail-summary');
+  if (summary) {
+    const { bundler } = bundlerDetailState;
+    summary.textContent = `SOL: ${DatabaseAPI.formatBalance(bundler.total_balance_sol)} | SPL: ${DatabaseAPI.formatBalance(bundler.total_balance_spl)}`
+      + ` · ${motherWallets.length} mother wallet${motherWallets.length === 1 ? '' : 's'}`
+      + ` · ${shownCount === childCount ? childCount : `${shownCount} of ${childCount}`} child wallets`;
+  }
+
+  if (!motherWallets.length) {
+    container.innerHTML = html`
+      <div class="empty-state">
+        <span class="material-symbols-outlined">account_balance_wallet</span>
+        <p>No mother wallets are assigned to this bundler</p>
+      </div>
+    `;
+    return;
+  }
+
+  if (!groups.length) {
+    container.innerHTML = html`
+      <div class="empty-state">
+        <span class="material-symbols-outlined">search_off</span>
+        <p>No wallets match the current filters</p>
+      </div>
+    `;
+    return;
+  }
+
+  container.innerHTML = html`${groups.map(renderMotherWalletGroup)}`;
+}
+
+function renderMotherWalletGroup(group) {
+  return html`
+    <section class="mother-wallet-group">
+      <div class="list-item mother-wallet-row">
         <div class="list-item-icon">
-          ${token.image_url ? 
-            `<img src="${token.image_url}" alt="${token.name}" style="width: 100%; height: 100%; border-radius: var(--radius-sm);">` :
-            `<span class="material-symbols-outlined">token</span>`
-          }
+          <span class="material-symbols-outlined">account_balance_wallet</span>
         </div>
         <div class="list-item-content">
-          <div class="list-item-title">${token.name} (${token.symbol})</div>
+          <div class="list-item-title" title="${group.public_key}">Mother #${group.id} · ${DatabaseAPI.truncateAddress(group.public_key, 6, 6)}</div>
           <div class="list-item-subtitle">
-            ${token.description ? DatabaseAPI.truncateAddress(token.description, 30, 0) : 'No description'}
+            Children SOL: ${DatabaseAPI.formatBalance(group.balance_sol)} | SPL: ${DatabaseAPI.formatBalance(group.balance_spl)}
           </div>
         </div>
-        <div class="list-item-trailing">
-          <span class="balance-value">${DatabaseAPI.formatBalance(token.dev_buy_amount)}</span>
-        </div>
+        <div class="list-item-trailing">${renderWalletActions(group.public_key)}</div>
       </div>
-    `).join('');
-    
+      <div class="child-wallet-list">
+        ${group.children.length ? group.children.map(renderChildWalletRow) : html`<p class="child-wallet-empty">No child wallets</p>`}
+      </div>
+    </section>
+  `;
+}
+
+// ========== MOTHER WALLET POOL ==========
+
+function getMotherWalletsNeeded(balanceSol) {
+  return Math.ceil(balanceSol / SOL_PER_MOTHER_WALLET);
+}
+
+/**
+ * Load the shared mother wallet pool and which of the user's bundlers hold each wallet
+ */
+async function loadMotherWalletPool() {
+  const list = document.getElementById('mother-wallets-list');
+  if (!list || !currentUser) return;
+
+  try {
+    list.innerHTML = '<div class="loading-state"><div class="spinner"></div><span>Loading mother wallets...</span></div>';
+
+    const [wallets] = await Promise.all([
+      DatabaseAPI.getMotherWallets('all'),
+      loadMotherWalletAssignments()
+    ]);
+    motherPoolState.wallets = wallets;
+    renderMotherWalletPool();
   } catch (error) {
-    console.error('❌ Failed to load tokens:', error);
-    document.getElementById('tokens-list').innerHTML = `
+    console.error('❌ Failed to load mother wallets:', error);
+    list.innerHTML = html`
       <div class="error-state">
         <span class="material-symbols-outlined">error</span>
-        <p>Failed to load tokens</p>
-        <button onclick="loadTokens()" class="retry-btn">Retry</button>
+        <p>Failed to load mother wallets</p>
+        <button onclick="loadMotherWalletPool()" class="retry-btn">Retry</button>
       </div>
     `;
   }
 }
 
+/**
+ * Refresh which of the pool's wallets our active bundlers hold. Returns every assignment
+ * row, archived bundlers included, for scoping the child wallet channel.
+ */
+async function loadMotherWalletAssignments() {
+  const assignments = await DatabaseAPI.getUserMotherWalletAssignments(currentUser.user_wallet_id);
+  motherPoolState.assignments = new Map(assignments
+    .filter((row) => row.bundlers.is_active)
+    .map((row) => [row.mother_wallet_id, row.bundlers]));
+  return assignments;
+}
+
+function setMotherWalletFilter(filter) {
+  motherPoolState.filter = filter;
+  document.querySelectorAll('#mother-wallet-filters .chip').forEach((chip) => {
+    const active = chip.dataset.filter === filter;
+    chip.classList.toggle('active', active);
+    chip.setAttribute('aria-pressed', String(active));
+  });
+  renderMotherWalletPool();
+}
+
+/**
+ * Apply a realtime mother_wallets UPDATE without refetching the pool
+ */
+async function handleMotherWalletChange(payload) {
+  const updated = payload.new;
+  if (!updated?.id) return;
+
+  const index = motherPoolState.wallets.findIndex((wallet) => wallet.id === updated.id);
+  const availabilityChanged = index === -1 || motherPoolState.wallets[index].is_available !== updated.is_available;
+  if (index === -1) {
+    motherPoolState.wallets.unshift(updated);
+  } else {
+    motherPoolState.wallets[index] = { ...motherPoolState.wallets[index], ...updated };
+  }
+
+  if (availabilityChanged) {
+    await loadMotherWalletAssignments();
+  }
+  patchMotherWalletRow(motherPoolState.wallets.find((wallet) => wallet.id === updated.id));
+}
+
+function patchMotherWalletRow(wallet) {
+  renderMotherPoolStats();
+  const patched = patchListRow('mother-wallets-list', `[data-mother-wallet-id="${wallet.id}"]`,
+    matchesMotherWalletFilter(wallet) ? renderMotherWalletRow(wallet) : null);
+  if (!patched) {
+    renderMotherWalletPool();
+  }
+}
+
+/**
+ * Pre-flight plan for a bundler of balanceSol. The distributor pays one transfer per
+ * mother wallet; each mother keeps a fee buffer for its child transfers out of its SOL.
+ * Returns the breakdown plus blockers (refuse to submit) and warnings (submit allowed).
+ * A null availableMotherWallets means the pool could not be read; its limits are skipped.
+ */
+function planBundlerAllocation(balanceSol, { availableMotherWallets, distributorBalanceSol }) {
+  const motherWallets = getMotherWalletsNeeded(balanceSol);
+  const childWallets = motherWallets * CHILD_WALLETS_PER_MOTHER;
+  const feesSol = motherWallets * SOLANA_TX_FEE_SOL;
+  const childFeesSol = childWallets * SOLANA_TX_FEE_SOL;
+  const totalDebitSol = balanceSol + feesSol;
+  const remainingSol = distributorBalanceSol - totalDebitSol;
+  const perMotherSol = balanceSol / motherWallets;
+  const childFundingMaxSol = CHILD_FUNDING_RANGE_SOL.max * CHILD_WALLETS_PER_MOTHER + childFeesSol / motherWallets;
+
+  const blockers = [];
+  const warnings = [];
+
+  const poolKnown = availableMotherWallets !== null && availableMotherWallets !== undefined;
+
+  if (poolKnown && motherWallets > availableMotherWallets) {
+    blockers.push(`Needs ${motherWallets} mother wallets but only ${availableMotherWallets} ${availableMotherWallets === 1 ? 'is' : 'are'} available`);
+  }
+  if (remainingSol < 0) {
+    blockers.push(`Needs ${DatabaseAPI.formatBalance(totalDebitSol)} SOL including fees; the distributor holds ${DatabaseAPI.formatBalance(distributorBalanceSol)} SOL`);
+  } else if (remainingSol < DISTRIBUTOR_RESERVE_SOL) {
+    warnings.push(`Leaves only ${remainingSol.toFixed(6)} SOL in the distributor for later transaction fees`);
+  }
+  if (perMotherSol < childFundingMaxSol) {
+    warnings.push(`${DatabaseAPI.formatBalance(perMotherSol)} SOL per mother wallet may not cover child funding of up to ${DatabaseAPI.formatBalance(childFundingMaxSol)} SOL`);
+  }
+  if (poolKnown && !blockers.length && availableMotherWallets - motherWallets === 0) {
+    warnings.push('Uses every available mother wallet in the pool');
+  }
+
+  return {
+    balanceSol,
+    motherWallets,
+    childWallets,
+    perMotherSol,
+    childFundingMinSol: childWallets * CHILD_FUNDING_RANGE_SOL.min,
+    childFundingMaxSol: childWallets * CHILD_FUNDING_RANGE_SOL.max,
+    feesSol: feesSol + childFeesSol,
+    totalDebitSol,
+    remainingSol,
+    blockers,
+    warnings
+  };
+}
+
+function renderMotherWalletCapacity(availableCount) {
+  const result = document.getElementById('mother-pool-capacity-result');
+  const input = document.getElementById('mother-pool-capacity-input');
+  if (!result || !input) return;
+
+  const balance = parseFloat(input.value);
+  if (!balance || balance <= 0) {
+    result.className = 'pool-capacity-result';
+    result.textContent = `Up to ${availableCount * SOL_PER_MOTHER_WALLET} SOL can be bundled right now`;
+    return;
+  }
+
+  const needed = getMotherWalletsNeeded(balance);
+  const enough = needed <= availableCount;
+  result.className = `pool-capacity-result ${enough ? 'ok' : 'short'}`;
+  result.textContent = enough
+    ? `Enough: needs ${needed} of ${availableCount} available mother wallet${availableCount === 1 ? '' : 's'}`
+    : `Not enough: needs ${needed} mother wallet${needed === 1 ? '' : 's'}, only ${availableCount} available`;
+}
+
+function renderMotherPoolStats() {
+  const stats = document.getElementById('mother-pool-stats');
+  const { wallets } = motherPoolState;
+  const availableCount = wallets.filter((wallet) => wallet.is_available).length;
+
+  if (stats) {
+    stats.innerHTML = html`
+      <div class="pool-stat"><span class="pool-stat-value">${wallets.length}</span><span class="pool-stat-label">In pool</span></div>
+      <div class="pool-stat"><span class="pool-stat-value">${availableCount}</span><span class="pool-stat-label">Available</span></div>
+      <div class="pool-stat"><span class="pool-stat-value">${wallets.length - availableCount}</span><span class="pool-stat-label">Assigned</span></div>
+    `;
+  }
+  renderMotherWalletCapacity(availableCount);
+}
+
+function renderMotherWalletPool() {
+  const list = document.getElementById('mother-wallets-list');
+  if (!list) return;
+
+  const { wallets } = motherPoolState;
+  renderMotherPoolStats();
+
+  const visible = wallets.filter(matchesMotherWalletFilter);
+
+  if (!visible.length) {
+    list.innerHTML = html`
+      <div class="empty-state">
+        <span class="material-symbols-outlined">account_balance_wallet</span>
+        <p>${wallets.length ? 'No mother wallets match this filter' : 'The mother wallet pool is empty'}</p>
+      </div>
+    `;
+    return;
+  }
+
+  list.innerHTML = html`${visible.map(renderMotherWalletRow)}`;
+}
+
+function matchesMotherWalletFilter(wallet) {
+  const { filter } = motherPoolState;
+  return filter === 'all'
+    || (filter === 'available' && wallet.is_available)
+    || (filter === 'assigned' && !wallet.is_available);
+}
+
+function renderMotherWalletRow(wallet) {
+  const bundler = motherPoolState.assignments.get(wallet.id);
+  // Other users' bundlers are hidden by RLS, so only our own assignments can be named
+  const assignedTo = wallet.is_available
+    ? ''
+    : bundler
+      ? html`Assigned to <a href="#" onclick="event.preventDefault(); showBundlerDetailModal(${bundler.id})">${bundler.token_name || 'Unnamed Bundler'}</a>`
+      : 'In use by another bundler';
+
+  return html`
+    <div class="list-item" data-mother-wallet-id="${wallet.id}">
+      <div class="list-item-icon">
+        <span class="material-symbols-outlined">account_balance_wallet</span>
+      </div>
+      <div class="list-item-content">
+        <div class="list-item-title" title="${wallet.public_key}">#${wallet.id} · ${DatabaseAPI.truncateAddress(wallet.public_key, 6, 6)}</div>
+        <div class="list-item-subtitle">
+          SOL: ${DatabaseAPI.formatBalance(wallet.balance_sol)}${assignedTo ? html` | ${assignedTo}` : ''}
+        </div>
+      </div>
+      <div class="list-item-trailing">
+        <span class="status-chip ${wallet.is_available ? 'available' : 'assigned'}">
+          ${wallet.is_available ? 'Available' : 'Assigned'}
+        </span>
+        ${renderWalletActions(wallet.public_key)}
+      </div>
+    </div>
+  `;
+}
+
+// ========== BALANCE CHARTS ==========
+
+function buildStepPath(points, key, startTime, endTime) {
+  const { width, height, padding } = BALANCE_CHART_SIZE;
+  const values = points.map((point) => point[key]);
+  let min = Math.min(...values);
+  let max = Math.max(...values);
+  if (min === max) {
+    min -= 1;
+    max += 1;
+  }
+
+  const x = (time) => padding + ((time - startTime) / (endTime - startTime)) * (width - padding * 2);
+  const y = (value) => height - padding - ((value - min) / (max - min)) * (height - padding * 2);
+
+  // Balances change in discrete steps, so hold each value until the next snapshot
+  return points.map((point, index) => {
+    const px = x(Math.max(point.time, startTime)).toFixed(1);
+    const py = y(point[key]).toFixed(1);
+    return index === 0 ? `M ${px} ${py}` : `H ${px} V ${py}`;
+  }).join(' ') + ` H ${x(endTime).toFixed(1)}`;
+}
+
+function formatBalanceChange(first, last) {
+  const delta = last - first;
+  if (!delta) return '±0';
+  return `${delta > 0 ? '+' : '−'}${DatabaseAPI.formatBalance(Math.abs(delta))}`;
+}
+
+/**
+ * Draw SOL and SPL series as step lines. Each series has its own vertical scale.
+ */
+function renderBalanceChart(container, points, range) {
+  if (!container) return;
+
+  if (!points.length) {
+    container.innerHTML = '<p class="balance-chart-empty">No balance changes in this period</p>';
+    return;
+  }
+
+  const endTime = Date.now();
+  const startTime = endTime - BALANCE_CHART_RANGE_MS[range];
+  const { width, height } = BALANCE_CHART_SIZE;
+  const first = points[0];
+  const last = points[points.length - 1];
+
+  container.innerHTML = html`
+    <svg class="balance-chart-svg" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img"
+      aria-label="SOL ${DatabaseAPI.formatBalance(first.sol)} to ${DatabaseAPI.formatBalance(last.sol)}, SPL ${DatabaseAPI.formatBalance(first.spl)} to ${DatabaseAPI.formatBalance(last.spl)} over ${range}">
+      <path class="balance-chart-line spl" d="${buildStepPath(points, 'spl', startTime, endTime)}" />
+      <path class="balance-chart-line sol" d="${buildStepPath(points, 'sol', startTime, endTime)}" />
+    </svg>
+    <div class="balance-chart-legend">
+      <span class="balance-chart-key sol">SOL ${DatabaseAPI.formatBalance(last.sol)} (${formatBalanceChange(first.sol, last.sol)})</span>
+      <span class="balance-chart-key spl">SPL ${DatabaseAPI.formatBalance(last.spl)} (${formatBalanceChange(first.spl, last.spl)})</span>
+    </div>
+  `;
+}
+
+function renderChartRangeChips(activeRange, handlerName, handlerArgs = '') {
+  return html`${BALANCE_CHART_RANGES.map((range) => html`
+    <button class="chip ${range === activeRange ? 'active' : ''}" type="button" aria-pressed="${range === activeRange}"
+      onclick="${handlerName}(${handlerArgs}${jsArg(range)})">${range}</button>
+  `)}`;
+}
+
+async function loadProfileChart() {
+  const rangeChips = document.getElementById('profile-chart-range');
+  const chart = document.getElementById('profile-chart-canvas');
+  const devChip = document.getElementById('profile-chart-dev-chip');
+  if (!chart || !currentUser) return;
+
+  if (devChip) {
+    devChip.style.display = currentUser.dev_public_key ? '' : 'none';
+  }
+  if (profileChartState.subject === 'dev' && !currentUser.dev_public_key) {
+    profileChartState.subject = 'distributor';
+  }
+
+  document.querySelectorAll('#profile-chart-subject .chip').forEach((chip) => {
+    const active = chip.dataset.chartSubject === profileChartState.subject;
+    chip.classList.toggle('active', active);
+    chip.setAttribute('aria-pressed', String(active));
+  });
+  if (rangeChips) {
+    rangeChips.innerHTML = renderChartRangeChips(profileChartState.range, 'setProfileChartRange');
+  }
+
+  chart.innerHTML = '<div class="loading-state"><div class="spinner"></div></div>';
+  const points = await DatabaseAPI.getBalanceHistory(currentUser.user_wallet_id, profileChartState);
+  renderBalanceChart(chart, points, profileChartState.range);
+}
+
+function setProfileChartSubject(subject) {
+  profileChartState.subject = subject;
+  loadProfileChart();
+}
+
+function setProfileChartRange(range) {
+  profileChartState.range = range;
+  loadProfileChart();
+}
+
+async function loadBundlerChart(bundlerId) {
+  const panel = document.getElementById(`bundler-chart-${bundlerId}`);
+  if (!panel || !currentUser) return;
+
+  const range = expandedBundlerCharts.get(bundlerId) || '24h';
+  panel.innerHTML = html`
+    <div class="filter-chips balance-chart-toolbar">${renderChartRangeChips(range, 'setBundlerChartRange', `${bundlerId}, `)}</div>
+    <div class="balance-chart"><div class="loading-state"><div class="spinner"></div></div></div>
+  `;
+
+  const points = await DatabaseAPI.getBalanceHistory(currentUser.user_wallet_id, { subject: 'bundler', bundlerId, range });
+  renderBalanceChart(panel.querySelector('.balance-chart'), points, range);
+}
+
+function toggleBundlerChart(bundlerId) {
+  const panel = document.getElementById(`bundler-chart-${bundlerId}`);
+  if (!panel) return;
+
+  const expand = panel.hidden;
+  panel.hidden = !expand;
+  panel.closest('.list-item')?.querySelector('[aria-label="Balance history"]')?.setAttribute('aria-expanded', String(expand));
+
+  if (expand) {
+    expandedBundlerCharts.set(bundlerId, expandedBundlerCharts.get(bundlerId) || '24h');
+    loadBundlerChart(bundlerId);
+  } else {
+    expandedBundlerCharts.delete(bundlerId);
+  }
+}
+
+function setBundlerChartRange(bundlerId, range) {
+  expandedBundlerCharts.set(bundlerId, range);
+  loadBundlerChart(bundlerId);
+}
+
 // ========== REGISTRATION HANDLERS ==========
 
 /**
@@ -1279,7 +3070,7 @@ function showInAppWalletCreated({
   modal.className = 'modal-overlay';
   modal.id = 'wallet-created-modal';
   
-  modal.innerHTML = `
+  modal.innerHTML = html`
     <div class="modal-content">
       <div class="modal-header">
         <span class="material-symbols-outlined" style="color: var(--md-sys-color-success);">check_circle</span>
@@ -1298,7 +3089,7 @@ function showInAppWalletCreated({
               <label>Distributor Public Key:</label>
               <div class="key-display">
                 <span class="key-text">${DatabaseAPI.truncateAddress(distributorPublicKey, 8, 8)}</span>
-                <button class="copy-btn" onclick="copyToClipboard('${distributorPublicKey}')">
+                <button class="copy-btn" onclick="copyToClipboard(${jsArg(distributorPublicKey)})">
                   <span class="material-symbols-outlined">content_copy</span>
                 </button>
               </div>
@@ -1313,12 +3104,12 @@ function showInAppWalletCreated({
                 ${devWalletStatus === 'ready' ? 'Ready' : 'Provisioning'}
               </span>
             </div>
-            ${devPublicKey ? `
+            ${devPublicKey ? html`
               <div class="detail-item">
                 <label>Developer Public Key:</label>
                 <div class="key-display">
                   <span class="key-text">${DatabaseAPI.truncateAddress(devPublicKey, 8, 8)}</span>
-                  <button class="copy-btn" onclick="copyToClipboard('${devPublicKey}')">
+                  <button class="copy-btn" onclick="copyToClipboard(${jsArg(devPublicKey)})">
                     <span class="material-symbols-outlined">content_copy</span>
                   </button>
                 </div>
@@ -1326,10 +3117,10 @@ function showInAppWalletCreated({
             ` : ''}
           </div>
           
-          ${devWalletStatus !== 'ready' ? `
+          ${devWalletStatus !== 'ready' ? html`
             <div class="dev-wallet-countdown">
               <span class="material-symbols-outlined">hourglass_top</span>
-              <p>Your developer wallet will be ready shortly.${devWalletReadyInSeconds ? ` Estimated time: ${Math.ceil(devWalletReadyInSeconds / 60)} minute(s).` : ''}</p>
+              <p>Your developer wallet will be ready shortly.${devWalletReadyInSeconds ? html` Estimated time: ${Math.ceil(devWalletReadyInSeconds / 60)} minute(s).` : ''}</p>
             </div>
           ` : ''}
           
@@ -1346,7 +3137,7 @@ function showInAppWalletCreated({
           </div>
           
           <div class="modal-actions">
-            <button class="secondary-button" onclick="copyToClipboard('${distributorPublicKey}')">
+            <button class="secondary-button" onclick="copyToClipboard(${jsArg(distributorPublicKey)})">
               <span class="material-symbols-outlined">content_copy</span>
               Copy Address
             </button>
@@ -1401,6 +3192,168 @@ function generateIdempotencyKey() {
   });
 }
 
+// ========== IDEMPOTENT USER ACTIONS ==========
+
+function readPendingActions() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PENDING_ACTIONS_STORAGE_KEY) || '{}');
+    const now = Date.now();
+    return Object.fromEntries(
+      Object.entries(stored).filter(([, entry]) => entry && now - entry.createdAt < PENDING_ACTION_TTL_MS)
+    );
+  } catch (error) {
+    console.warn('⚠️ Failed to read pending actions:', error);
+    return {};
+  }
+}
+
+function writePendingActions(actions) {
+  try {
+    localStorage.setItem(PENDING_ACTIONS_STORAGE_KEY, JSON.stringify(actions));
+  } catch (error) {
+    console.warn('⚠️ Failed to persist pending actions:', error);
+  }
+}
+
+/**
+ * Return the idempotency key for a user action. While a previous attempt with the same
+ * parameters has no known outcome its key is reused, unless resumePending is false.
+ */
+function getActionIdempotencyKey(actionId, { resumePending = true } = {}) {
+  const actions = readPendingActions();
+  if (!actions[actionId] || !resumePending) {
+    actions[actionId] = { key: generateIdempotencyKey(), createdAt: Date.now() };
+    writePendingActions(actions);
+  }
+  return actions[actionId].key;
+}
+
+function resolvePendingAction(actionId) {
+  const actions = readPendingActions();
+  if (actions[actionId]) {
+    delete actions[actionId];
+    writePendingActions(actions);
+  }
+}
+
+/**
+ * Run a mutating orchestrator call under an idempotency key.
+ * Double submissions are ignored while the first is in flight, and the key is
+ * kept when the outcome is unknown (timeout, network, 5xx) so a retry reuses it.
+ * Orchestrator wrappers throw on failure, so a resolved call always has an answer.
+ *
+ * An identical action submitted while such a key is pending asks the user whether
+ * it retries that attempt (deduplicated by the orchestrator) or is a new one.
+ * resumePending: true/false skips the question for explicit retries and self-checks.
+ */
+async function runIdempotentAction(actionId, operation, { label = 'action', resumePending } = {}) {
+  if (inFlightActions.has(actionId)) {
+    showSnackbar('This action is already in progress.', 'info');
+    return null;
+  }
+
+  let resume = resumePending;
+  if (resume === undefined && readPendingActions()[actionId]) {
+    resume = confirm(
+      `Your previous ${label} with these values has no confirmed result yet.\n\n`
+      + `OK: retry it. If it already went through, it will not run twice.\n`
+      + `Cancel: submit it as a new ${label}.`
+    );
+  }
+
+  inFlightActions.add(actionId);
+  const idempotencyKey = getActionIdempotencyKey(actionId, { resumePending: resume !== false });
+  if (resume === true && resumePending === undefined) {
+    showSnackbar(`Resuming your previous ${label}...`, 'info');
+  }
+
+  try {
+    const result = await operation(idempotencyKey);
+    resolvePendingAction(actionId);
+    return result;
+  } catch (error) {
+    if (!error?.retryable) {
+      resolvePendingAction(actionId);
+    } else {
+      console.warn(`⚠️ Outcome unknown for ${actionId}; keeping idempotency key for retry.`);
+    }
+    throw error;
+  } finally {
+    inFlightActions.delete(actionId);
+  }
+}
+
+/**
+ * Check that a retry after a 503 reuses the first attempt's key.
+ * The failing attempt goes through handleOrchestratorError like every orchestrator wrapper.
+ */
+async function testIdempotentRetry() {
+  const actionId = `idempotency-self-test:${Date.now()}`;
+  const keys = [];
+  const results = [];
+  const check = (name, passed) => {
+    results.push({ name, passed });
+    console[passed ? 'log' : 'error'](`${passed ? '✅' : '❌'} [IDEMPOTENCY TEST] ${name}`);
+  };
+  const unavailable = () => {
+    const error = new Error('Service Unavailable');
+    error.status = 503;
+    return normalizeOrchestratorError(error, '/api/orchestrator/self-test', true);
+  };
+
+  try {
+    let outcome = null;
+    await runIdempotentAction(actionId, async (key) => {
+      keys.push(key);
+      try {
+        throw unavailable();
+      } catch (error) {
+        handleOrchestratorError(error, 'run idempotency self-test');
+      }
+    }).then((result) => { outcome = result; }, (error) => { outcome = error; });
+    check('a wrapper failure reaches the caller as a retryable error', outcome?.retryable === true);
+
+    await runIdempotentAction(actionId, async (key) => {
+      keys.push(key);
+      return { success: true };
+    }, { resumePending: true });
+    check('a retry after a 503 reuses the key', keys.length === 2 && keys[0] === keys[1]);
+    check('the key is released once the orchestrator answers', !readPendingActions()[actionId]);
+
+    // A definite rejection must clear a key that is still pending from an unknown outcome
+    await runIdempotentAction(actionId, async (key) => {
+      keys.push(key);
+      throw unavailable();
+    }).catch(() => {});
+    const pendingKey = readPendingActions()[actionId]?.key;
+    await runIdempotentAction(actionId, async (key) => {
+      keys.push(key);
+      const error = new Error('Insufficient balance');
+      error.status = 400;
+      throw normalizeOrchestratorError(error, '/api/orchestrator/self-test', false);
+    }, { resumePending: true }).catch(() => {});
+    check('a definite 4xx failure releases a pending key',
+      Boolean(pendingKey) && keys[3] === pendingKey && !readPendingActions()[actionId]);
+
+    // Submitting the same values as a new action must not reuse the pending key
+    await runIdempotentAction(actionId, async (key) => {
+      keys.push(key);
+      throw unavailable();
+    }).catch(() => {});
+    await runIdempotentAction(actionId, async (key) => {
+      keys.push(key);
+      return { success: true };
+    }, { resumePending: false });
+    check('a new submission with the same values gets a fresh key', keys[5] !== keys[4]);
+  } finally {
+    resolvePendingAction(actionId);
+  }
+
+  const failed = results.filter((result) => !result.passed).length;
+  console.log(failed ? `❌ [IDEMPOTENCY TEST] ${failed} check(s) failed` : '🔑 [IDEMPOTENCY TEST] All checks passed');
+  return failed === 0;
+}
+
 /**
  * Show bundler creation success details
  */
@@ -1409,7 +3362,7 @@ function showBundlerCreationSuccess(result) {
   modal.className = 'modal-overlay';
   modal.id = 'bundler-success-modal';
   
-  modal.innerHTML = `
+  modal.innerHTML = html`
     <div class="modal-content">
       <div class="modal-header">
         <span class="material-symbols-outlined" style="color: var(--md-sys-color-success);">check_circle</span>
@@ -1479,24 +3432,48 @@ function closeBundlerSuccessModal() {
 
 let tokenCreationModal = null;
 let sellSplModal = null;
+let tokenDraftSaveTimer = null;
+let tokenDraftSavePromise = null;
+let scheduledLaunchTicker = null;
+let tokenFormPresets = { templates: [], tokens: [] };
 
-function showTokenCreationForm() {
-  if (tokenCreationModal) {
-    tokenCreationModal.remove();
-  }
-
-  tokenCreationModal = document.createElement('div');
-  tokenCreationModal.className = 'modal-overlay';
-  tokenCreationModal.id = 'token-creation-modal';
-
-  tokenCreationModal.innerHTML = `
+/**
+ * Markup for the create form, or the edit form when an existing token is passed
+ */
+function renderTokenCreationFormMarkup(token = null) {
+  const editing = Boolean(token);
+  return html`
     <div class="modal-content token-modal">
       <div class="modal-header">
-        <span class="material-symbols-outlined">token</span>
-        <h3>Create Token</h3>
+        <span class="material-symbols-outlined">${editing ? 'edit' : 'token'}</span>
+        <h3>${editing ? 'Edit Token' : 'Create Token'}</h3>
       </div>
       <div class="modal-body token-modal-grid">
         <form id="token-creation-form" class="token-form" autocomplete="off">
+          ${editing ? '' : html`
+          <section class="token-form-section">
+            <div class="section-heading">
+              <h4>Start From</h4>
+              <p>Drafts save automatically, logo included, until the launch is submitted.</p>
+            </div>
+            <div class="token-preset-row">
+              <select id="token-preset" aria-label="Start from a template or a previous token">
+                <option value="">Blank form</option>
+              </select>
+              <button type="button" class="icon-button" id="token-template-delete" onclick="deleteSelectedLaunchTemplate()" aria-label="Delete template" hidden>
+                <span class="material-symbols-outlined">delete</span>
+              </button>
+              <button type="button" class="secondary-button" onclick="saveLaunchTemplate()">
+                <span class="material-symbols-outlined">bookmark_add</span>
+                Save as template
+              </button>
+            </div>
+            <div class="token-draft-status">
+              <small id="token-draft-status"></small>
+              <button type="button" class="link-button" id="token-draft-discard" onclick="discardTokenDraft()" hidden>Discard draft</button>
+            </div>
+          </section>
+          `}
           <section class="token-form-section">
             <div class="section-heading">
               <h4>Brand Basics</h4>
@@ -1505,18 +3482,34 @@ function showTokenCreationForm() {
             <div class="form-row two-col">
               <div class="form-group">
                 <label for="token-name">Token Name</label>
-                <input id="token-name" name="token-name" type="text" placeholder="e.g. Solanafied" maxlength="32" required />
+                <input id="token-name" name="token-name" type="text" placeholder="e.g. Solanafied" maxlength="32" required
+                  value="${token?.name || ''}" ${editing ? rawHtml('readonly') : ''} />
               </div>
               <div class="form-group">
                 <label for="token-symbol">Symbol</label>
-                <input id="token-symbol" name="token-symbol" type="text" maxlength="5" placeholder="e.g. SOLFD" required />
+                <input id="token-symbol" name="token-symbol" type="text" maxlength="5" placeholder="e.g. SOLFD" required
+                  value="${token?.symbol || ''}" ${editing ? rawHtml('readonly') : ''} />
               </div>
             </div>
+            ${editing ? html`
+              <div class="form-group">
+                <label for="token-contract">Contract Address</label>
+                <input id="token-contract" type="text" value="${token.contract_address || 'Pending launch'}" readonly />
+                <small>Name, symbol and contract are fixed on-chain and cannot be edited.</small>
+              </div>
+            ` : ''}
             <div class="form-group">
               <label for="token-description">Description</label>
-              <textarea id="token-description" name="token-description" rows="3" maxlength="240" placeholder="Tell us about your token"></textarea>
+              <textarea id="token-description" name="token-description" rows="3" maxlength="240" placeholder="Tell us about your token">${token?.description || ''}</textarea>
               <small>Max 240 characters.</small>
             </div>
+            ${editing ? html`
+              <div class="form-group">
+                <label for="token-image-url">Logo URL</label>
+                <input id="token-image-url" name="token-image-url" type="url" placeholder="https://ipfs.io/ipfs/..." value="${token.image_url || ''}" />
+                <small>Must be an https link on an IPFS gateway or your Supabase storage.</small>
+              </div>
+            ` : html`
             <div class="form-group">
               <label>Token Logo</label>
               <label for="token-logo" class="token-logo-dropzone">
@@ -1530,6 +3523,7 @@ function showTokenCreationForm() {
                 </div>
               </label>
             </div>
+            `}
           </section>
 
           <section class="token-form-section">
@@ -1539,18 +3533,19 @@ function showTokenCreationForm() {
             </div>
             <div class="form-group">
               <label for="token-twitter">Twitter URL</label>
-              <input id="token-twitter" name="token-twitter" type="url" placeholder="https://twitter.com/yourproject" />
+              <input id="token-twitter" name="token-twitter" type="url" placeholder="https://twitter.com/yourproject" value="${token?.twitter || ''}" />
             </div>
             <div class="form-group">
               <label for="token-telegram">Telegram URL</label>
-              <input id="token-telegram" name="token-telegram" type="url" placeholder="https://t.me/yourproject" />
+              <input id="token-telegram" name="token-telegram" type="url" placeholder="https://t.me/yourproject" value="${token?.telegram || ''}" />
             </div>
             <div class="form-group">
               <label for="token-website">Website</label>
-              <input id="token-website" name="token-website" type="url" placeholder="https://yourproject.com" />
+              <input id="token-website" name="token-website" type="url" placeholder="https://yourproject.com" value="${token?.website || ''}" />
             </div>
           </section>
 
+          ${editing ? '' : html`
           <section class="token-form-section">
             <div class="section-heading">
               <h4>Pump.fun Parameters</h4>
@@ -1582,7 +3577,13 @@ function showTokenCreationForm() {
               <input id="priority-fee" name="priority-fee" type="number" min="0" step="0.000001" value="0.000005" />
               <small>Higher fees speed up confirmation on congested slots.</small>
             </div>
+            <div class="form-group">
+              <label for="launch-at">Launch Time (optional)</label>
+              <input id="launch-at" name="launch-at" type="datetime-local" />
+              <small>Leave empty to launch now. Scheduled launches fire while Solanafied is open in a tab.</small>
+            </div>
           </section>
+          `}
 
           <div class="modal-actions">
             <button type="button" class="secondary-button" onclick="closeTokenCreationForm()">
@@ -1590,8 +3591,8 @@ function showTokenCreationForm() {
               Cancel
             </button>
             <button type="submit" class="primary-button">
-              <span class="material-symbols-outlined">rocket_launch</span>
-              Create Token
+              <span class="material-symbols-outlined">${editing ? 'save' : 'rocket_launch'}</span>
+              ${editing ? 'Save Changes' : 'Create Token'}
             </button>
           </div>
         </form>
@@ -1611,6 +3612,7 @@ function showTokenCreationForm() {
               <li data-social="telegram" class="hidden"><span class="material-symbols-outlined">forum</span> telegram</li>
               <li data-social="website" class="hidden"><span class="material-symbols-outlined">language</span> website</li>
             </ul>
+            ${editing ? '' : html`
             <div class="preview-pump-params">
               <div>
                 <label>Dev Buy</label>
@@ -1625,18 +3627,45 @@ function showTokenCreationForm() {
                 <strong id="preview-priority-fee">0.000005</strong>
               </div>
             </div>
+            `}
           </div>
         </aside>
       </div>
     </div>
   `;
+}
+
+/**
+ * Show the token form. With a token it becomes the edit form: name, symbol and
+ * contract are locked, the logo is a URL and the Pump.fun launch parameters are hidden.
+ */
+function showTokenCreationForm(token = null) {
+  if (tokenCreationModal) {
+    tokenCreationModal.remove();
+  }
+
+  const editing = Boolean(token);
+  tokenCreationModal = document.createElement('div');
+  tokenCreationModal.className = 'modal-overlay';
+  tokenCreationModal.id = 'token-creation-modal';
+
+  tokenCreationModal.innerHTML = renderTokenCreationFormMarkup(token);
 
   document.body.appendChild(tokenCreationModal);
 
   const form = tokenCreationModal.querySelector('#token-creation-form');
-  form.addEventListener('submit', handleTokenCreationSubmit, { once: true });
   form.addEventListener('input', () => updateTokenPreview(form));
 
+  if (editing) {
+    form.dataset.tokenId = token.id;
+    form.addEventListener('submit', handleTokenEditSubmit);
+    updateTokenPreview(form);
+    return;
+  }
+
+  // Not once: a validation error keeps the form open and it must be submittable again
+  form.addEventListener('submit', handleTokenCreationSubmit);
+  form.addEventListener('input', scheduleTokenDraftSave);
   initializeSlippageInput(form);
 
   const logoInput = form.querySelector('#token-logo');
@@ -1645,14 +3674,24 @@ function showTokenCreationForm() {
     logoInput.dataset.initialized = 'true';
   }
 
+  form.querySelector('#token-preset').addEventListener('change', (event) => applyTokenFormPreset(event.target.value));
+
   updateTokenPreview(form);
+  restoreTokenDraft(form);
+  loadTokenFormPresets();
 }
 
 function closeTokenCreationForm() {
   if (tokenCreationModal) {
     const form = tokenCreationModal.querySelector('#token-creation-form');
+    if (tokenDraftSaveTimer) {
+      clearTimeout(tokenDraftSaveTimer);
+      tokenDraftSaveTimer = null;
+      saveTokenDraft(form);
+    }
     if (form) {
       form.removeEventListener('submit', handleTokenCreationSubmit);
+      form.removeEventListener('submit', handleTokenEditSubmit);
     }
     tokenCreationModal.remove();
     tokenCreationModal = null;
@@ -1674,6 +3713,7 @@ async function handleTokenCreationSubmit(event) {
     devBuyAmount: parseFloat(formData.get('dev-buy-amount')) || 0,
     slippage: clampSlippagePercent(parseFloat(formData.get('slippage')) || MIN_PARALLEL_BUY_SLIPPAGE_PERCENT),
     priorityFee: formData.get('priority-fee')?.trim() || '0.000005',
+    launchAt: formData.get('launch-at') || null,
     logoFile: formData.get('token-logo')
   };
 
@@ -1691,6 +3731,83 @@ async function handleTokenCreationSubmit(event) {
   await submitTokenCreation(tokenData);
 }
 
+/**
+ * Edit a launched token. The form only sends the columns that are not fixed on-chain.
+ */
+async function handleTokenEditSubmit(event) {
+  event.preventDefault();
+  const form = event.currentTarget;
+  const formData = new FormData(form);
+  const tokenId = Number(form.dataset.tokenId);
+
+  const updates = {
+    description: formData.get('token-description')?.trim() || null,
+    image_url: formData.get('token-image-url')?.trim() || null,
+    twitter: formData.get('token-twitter')?.trim() || null,
+    telegram: formData.get('token-telegram')?.trim() || null,
+    website: formData.get('token-website')?.trim() || null
+  };
+
+  const validationErrors = validateTokenEditData(updates);
+  if (validationErrors.length) {
+    showSnackbar(validationErrors[0], 'error');
+    return;
+  }
+
+  const saved = await saveTokenEdits(tokenId, updates);
+  if (saved) {
+    closeTokenCreationForm();
+  }
+}
+
+function validateTokenEditData(updates = {}) {
+  const errors = [];
+  if (updates.image_url && !sanitizeImageUrl(updates.image_url)) {
+    errors.push('Logo URL must be an https link on an allowed image host.');
+  }
+  ['twitter', 'telegram', 'website'].forEach((social) => {
+    if (updates[social] && !getTokenSocialUrl(social, updates[social])) {
+      errors.push(`${social.charAt(0).toUpperCase()}${social.slice(1)} link is not a valid URL.`);
+    }
+  });
+  return errors;
+}
+
+async function saveTokenEdits(tokenId, updates) {
+  const token = currentUser?.tokens?.find((entry) => Number(entry.id) === tokenId);
+  if (!token || token.user_wallet_id !== currentUser.user_wallet_id) {
+    showSnackbar('You can only edit tokens launched from this wallet', 'error');
+    return false;
+  }
+
+  showLoadingOverlay(true);
+  try {
+    const updated = await DatabaseAPI.updateToken(currentUser.user_wallet_id, tokenId, updates);
+    if (!updated) return false;
+
+    // Realtime delivers the same row; applying it here keeps the UI right without a subscription
+    handleTokenChange({ eventType: 'UPDATE', new: updated, old: { id: updated.id } });
+    showSnackbar(`Token "${updated.name}" updated`, 'success');
+    return true;
+  } finally {
+    showLoadingOverlay(false);
+  }
+}
+
+/**
+ * Open the edit form for a token from its detail view
+ */
+function editToken(tokenId) {
+  const token = currentUser?.tokens?.find((entry) => Number(entry.id) === Number(tokenId));
+  if (!token) {
+    showSnackbar('Token not found', 'error');
+    return;
+  }
+
+  closeTokenDetailModal();
+  showTokenCreationForm(token);
+}
+
 function updateTokenPreview(form) {
   if (!tokenCreationModal) return;
   const previewName = tokenCreationModal.querySelector('#token-preview-name');
@@ -1708,51 +3825,465 @@ function updateTokenPreview(form) {
   const slippageValue = clampSlippagePercent(form.querySelector('#slippage')?.value || MIN_PARALLEL_BUY_SLIPPAGE_PERCENT);
   const priorityFee = form.querySelector('#priority-fee')?.value || '0.000005';
 
-  if (previewName) previewName.textContent = name;
-  if (previewSymbol) previewSymbol.textContent = symbol.toUpperCase();
-  if (previewDescription) previewDescription.textContent = description;
-  if (previewDevBuy) previewDevBuy.textContent = `${devBuy} SOL`;
-  if (previewSlippage) previewSlippage.textContent = `${slippageValue}%`;
-  if (previewPriority) previewPriority.textContent = priorityFee;
+  if (previewName) previewName.textContent = name;
+  if (previewSymbol) previewSymbol.textContent = symbol.toUpperCase();
+  if (previewDescription) previewDescription.textContent = description;
+  if (previewDevBuy) previewDevBuy.textContent = `${devBuy} SOL`;
+  if (previewSlippage) previewSlippage.textContent = `${slippageValue}%`;
+  if (previewPriority) previewPriority.textContent = priorityFee;
+
+  const imageUrlInput = form.querySelector('#token-image-url');
+  if (imageUrlInput) {
+    renderTokenLogoPreview(sanitizeImageUrl(imageUrlInput.value.trim()));
+  }
+
+  if (socialsList) {
+    ['twitter', 'telegram', 'website'].forEach((social) => {
+      const value = form.querySelector(`#token-${social}`)?.value?.trim();
+      const item = socialsList.querySelector(`[data-social="${social}"]`);
+      if (item) {
+        if (value) {
+          const hostname = value.replace(/https?:\/\//, '').split('/')[0] || value;
+          item.classList.remove('hidden');
+          item.querySelector('span.material-symbols-outlined').nextSibling?.remove;
+          item.lastChild?.remove;
+          item.textContent = hostname;
+          item.prepend(item.dataset.iconElement || document.createElement('span'));
+        } else {
+          item.classList.add('hidden');
+        }
+      }
+    });
+  }
+}
+
+function renderTokenLogoPreview(imageUrl) {
+  const previewLogo = tokenCreationModal?.querySelector('#token-preview-logo');
+  if (!previewLogo) return;
+
+  previewLogo.innerHTML = renderTokenLogoPreviewMarkup(imageUrl);
+}
+
+function renderTokenLogoPreviewMarkup(imageUrl) {
+  return imageUrl
+    ? html`<img src="${imageUrl}" alt="Token logo preview" class="preview-logo-image" referrerpolicy="no-referrer">`
+    : '<span class="material-symbols-outlined">token</span>';
+}
+
+function handleTokenLogoChange(event) {
+  const file = event.target?.files?.[0];
+  const previewLogo = tokenCreationModal?.querySelector('#token-preview-logo');
+  if (!previewLogo) return;
+
+  if (file) {
+    const img = document.createElement('img');
+    img.alt = 'Token logo preview';
+    img.className = 'preview-logo-image';
+    const reader = new FileReader();
+    reader.onload = () => {
+      img.src = reader.result;
+      previewLogo.innerHTML = '';
+      previewLogo.appendChild(img);
+    };
+    reader.readAsDataURL(file);
+  } else {
+    previewLogo.innerHTML = '<span class="material-symbols-outlined">token</span>';
+  }
+}
+
+// ========== SCHEDULED LAUNCHES ==========
+
+const SCHEDULED_LAUNCH_STATUS_LABELS = {
+  scheduled: 'Scheduled',
+  ready: 'Checks passed',
+  blocked: 'Needs attention',
+  launching: 'Launching',
+  failed: 'Failed'
+};
+
+/**
+ * Hand a launch to the scheduler; resolves true once it is stored
+ */
+async function scheduleTokenLaunch(payload, launchAt) {
+  try {
+    const launch = await LaunchScheduler.scheduleLaunch({
+      userWalletId: currentUser.user_wallet_id,
+      launchAt,
+      payload,
+      idempotencyKey: generateIdempotencyKey()
+    });
+    showSnackbar(`Launch of "${payload.name}" scheduled for ${new Date(launch.launch_at).toLocaleString()}`, 'success');
+    return true;
+  } catch (error) {
+    console.error('❌ Failed to schedule token launch:', error);
+    showSnackbar(error.message || 'Failed to schedule launch', 'error');
+    return false;
+  }
+}
+
+/**
+ * Pre-launch checks for the scheduler, against fresh user and bundler data
+ */
+async function runScheduledLaunchChecks(launch) {
+  if (currentUser?.user_wallet_id !== launch.user_wallet_id) {
+    return ['Connect the wallet that scheduled this launch'];
+  }
+
+  await refreshUserData();
+  const bundlers = await DatabaseAPI.getUserBundlers(launch.user_wallet_id);
+  return getTokenLaunchProblems(currentUser, parseFloat(launch.payload.devBuyAmount) || 0, bundlers);
+}
+
+function registerLaunchSchedulerHandlers() {
+  if (!window.LaunchScheduler) return;
+
+  LaunchScheduler.registerLaunchHandlers({
+    runPreLaunchChecks: runScheduledLaunchChecks,
+    onChange: renderScheduledLaunches,
+    onLaunched: (launch, response) => handleTokenLaunchResponse(launch.user_wallet_id, launch.payload, response),
+    onFailed: (launch) => {
+      showSnackbar(`Scheduled launch of "${launch.payload.name}" failed: ${launch.problems[0] || launch.error}`, 'error');
+    }
+  });
+}
+
+async function loadScheduledLaunches() {
+  if (!window.LaunchScheduler || !currentUser) return;
+  await LaunchScheduler.resumeScheduledLaunches(currentUser.user_wallet_id);
+}
+
+function formatLaunchCountdown(remainingMs) {
+  if (remainingMs <= 0) return 'Launching...';
+
+  const totalSeconds = Math.floor(remainingMs / 1000);
+  const days = Math.floor(totalSeconds / 86400);
+  const hours = Math.floor((totalSeconds % 86400) / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const pad = (value) => String(value).padStart(2, '0');
+
+  return days
+    ? `${days}d ${hours}h ${pad(minutes)}m`
+    : `${pad(hours)}:${pad(minutes)}:${pad(seconds)}`;
+}
+
+function renderScheduledLaunchItem(launch) {
+  const { payload } = launch;
+  const notes = launch.problems.length ? launch.problems : [launch.error].filter(Boolean);
+
+  return html`
+    <div class="list-item scheduled-launch ${launch.status}" data-launch-id="${launch.id}">
+      <div class="list-item-icon">
+        <span class="material-symbols-outlined">rocket_launch</span>
+      </div>
+      <div class="list-item-content">
+        <div class="list-item-title">${payload.name} (${payload.symbol})</div>
+        <div class="list-item-subtitle">
+          ${new Date(launch.launch_at).toLocaleString()} · Dev buy ${payload.devBuyAmount} SOL
+        </div>
+        ${notes.length ? html`
+          <ul class="scheduled-launch-problems">
+            ${notes.map((note) => html`<li>${note}</li>`)}
+          </ul>
+        ` : ''}
+      </div>
+      <div class="list-item-trailing">
+        <span class="scheduled-launch-countdown" data-launch-at="${launch.launch_at}">
+          ${launch.status === 'failed' ? '' : formatLaunchCountdown(launch.launch_at - Date.now())}
+        </span>
+        <span class="status-chip ${launch.status}">${SCHEDULED_LAUNCH_STATUS_LABELS[launch.status] || launch.status}</span>
+        <div class="scheduled-launch-actions">
+          ${launch.status === 'failed' ? html`
+            <button class="icon-button" type="button" onclick="retryScheduledTokenLaunch(${jsArg(launch.id)})" aria-label="Launch now">
+              <span class="material-symbols-outlined">replay</span>
+            </button>
+          ` : ''}
+          ${launch.status === 'launching' ? '' : html`
+            <button class="icon-button" type="button" onclick="cancelScheduledTokenLaunch(${jsArg(launch.id)})" aria-label="Cancel launch">
+              <span class="material-symbols-outlined">event_busy</span>
+            </button>
+          `}
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Render the countdown card; a one-second ticker runs only while launches are pending
+ */
+function renderScheduledLaunches(launches = window.LaunchScheduler?.getScheduledLaunches() || []) {
+  const card = document.getElementById('scheduled-launches-card');
+  const list = document.getElementById('scheduled-launches-list');
+
+  clearInterval(scheduledLaunchTicker);
+  scheduledLaunchTicker = null;
+
+  if (card) card.style.display = launches.length ? '' : 'none';
+  if (!list) return;
+
+  list.innerHTML = html`${launches.map(renderScheduledLaunchItem)}`;
+  if (launches.some((launch) => launch.status !== 'failed')) {
+    scheduledLaunchTicker = setInterval(updateLaunchCountdowns, 1000);
+  }
+}
+
+function updateLaunchCountdowns() {
+  document.querySelectorAll('#scheduled-launches-list .scheduled-launch:not(.failed) [data-launch-at]').forEach((element) => {
+    element.textContent = formatLaunchCountdown(Number(element.dataset.launchAt) - Date.now());
+  });
+}
+
+async function cancelScheduledTokenLaunch(launchId) {
+  if (!confirm('Cancel this scheduled launch? The prepared launch will be deleted.')) return;
+
+  try {
+    await LaunchScheduler.cancelScheduledLaunch(launchId);
+    showSnackbar('Scheduled launch cancelled', 'info');
+  } catch (error) {
+    showSnackbar(error.message || 'Failed to cancel launch', 'error');
+  }
+}
+
+async function retryScheduledTokenLaunch(launchId) {
+  await LaunchScheduler.retryScheduledLaunch(launchId);
+}
+
+// ========== TOKEN DRAFTS & TEMPLATES ==========
+
+function readTokenFormValues(form) {
+  return Object.fromEntries(Object.entries(TOKEN_FORM_FIELDS).map(([key, inputId]) =>
+    [key, form.querySelector(`#${inputId}`)?.value ?? '']
+  ));
+}
+
+/**
+ * Fill the launch form from a draft, template or token; keys missing from values are left alone
+ */
+function applyTokenFormValues(form, values = {}) {
+  Object.entries(TOKEN_FORM_FIELDS).forEach(([key, inputId]) => {
+    const input = form.querySelector(`#${inputId}`);
+    if (input && values[key] !== undefined && values[key] !== null) {
+      input.value = values[key];
+    }
+  });
+  updateTokenPreview(form);
+}
+
+/**
+ * Put a stored logo back into the file input so the normal submit path uploads it
+ */
+function setTokenLogoFile(form, logo) {
+  const input = form.querySelector('#token-logo');
+  if (!input || !logo) return;
+
+  const file = logo instanceof File ? logo : new File([logo], 'token-logo', { type: logo.type });
+  const transfer = new DataTransfer();
+  transfer.items.add(file);
+  input.files = transfer.files;
+  handleTokenLogoChange({ target: input });
+}
+
+function setTokenDraftStatus(message, hasDraft) {
+  const status = tokenCreationModal?.querySelector('#token-draft-status');
+  const discard = tokenCreationModal?.querySelector('#token-draft-discard');
+  if (status) status.textContent = message;
+  if (discard) discard.hidden = !hasDraft;
+}
+
+function scheduleTokenDraftSave(event) {
+  const form = event.currentTarget;
+  clearTimeout(tokenDraftSaveTimer);
+  tokenDraftSaveTimer = setTimeout(() => {
+    tokenDraftSaveTimer = null;
+    saveTokenDraft(form);
+  }, TOKEN_DRAFT_SAVE_DELAY_MS);
+}
+
+async function saveTokenDraft(form) {
+  if (!form || !currentUser) return;
+
+  const logo = form.querySelector('#token-logo')?.files?.[0] || null;
+  tokenDraftSavePromise = DatabaseAPI.putLocalRecord(TOKEN_DRAFT_STORE, {
+    user_wallet_id: currentUser.user_wallet_id,
+    values: readTokenFormValues(form),
+    logo,
+    saved_at: new Date().toISOString()
+  });
+  const saved = await tokenDraftSavePromise;
+  if (saved && form.isConnected) {
+    setTokenDraftStatus(`Draft saved at ${new Date(saved.saved_at).toLocaleTimeString()}`, true);
+  }
+}
+
+async function restoreTokenDraft(form) {
+  if (!currentUser) return;
+
+  const [draft] = (await DatabaseAPI.getLocalRecords(TOKEN_DRAFT_STORE))
+    .filter((record) => record.user_wallet_id === currentUser.user_wallet_id);
+  if (!draft || !form.isConnected) return;
+
+  applyTokenFormValues(form, draft.values);
+  setTokenLogoFile(form, draft.logo);
+  setTokenDraftStatus(`Restored draft from ${new Date(draft.saved_at).toLocaleString()}`, true);
+}
+
+/**
+ * Delete the saved draft; unless quiet (after a submitted launch) the open form is reset too
+ */
+async function discardTokenDraft({ quiet = false } = {}) {
+  if (!currentUser) return;
+
+  clearTimeout(tokenDraftSaveTimer);
+  tokenDraftSaveTimer = null;
+  // Closing the form flushes a pending save; let it land first so it cannot restore the draft
+  await tokenDraftSavePromise;
+  await DatabaseAPI.deleteLocalRecord(TOKEN_DRAFT_STORE, currentUser.user_wallet_id);
+  if (quiet) return;
+
+  const form = tokenCreationModal?.querySelector('#token-creation-form');
+  if (form) {
+    form.reset();
+    handleTokenLogoChange({ target: form.querySelector('#token-logo') });
+    updateTokenPreview(form);
+  }
+  setTokenDraftStatus('Draft discarded', false);
+}
+
+/**
+ * Fill the "Start from" picker with saved templates and previously launched tokens
+ */
+async function loadTokenFormPresets() {
+  if (!currentUser) return;
+
+  const walletId = currentUser.user_wallet_id;
+  const [templates, tokens] = await Promise.all([
+    DatabaseAPI.getLocalRecords(LAUNCH_TEMPLATE_STORE, 'user_wallet_id', walletId),
+    DatabaseAPI.getUserTokens(walletId)
+  ]);
+  tokenFormPresets = {
+    templates: templates.sort((a, b) => a.name.localeCompare(b.name)),
+    tokens
+  };
+  renderTokenFormPresets();
+}
+
+function renderTokenFormPresets(selected = '') {
+  const select = tokenCreationModal?.querySelector('#token-preset');
+  if (!select) return;
+
+  select.innerHTML = renderTokenFormPresetOptions(tokenFormPresets);
+  select.value = selected;
+  tokenCreationModal.querySelector('#token-template-delete').hidden = !selected.startsWith('template:');
+}
+
+function renderTokenFormPresetOptions({ templates, tokens }) {
+  return html`
+    <option value="">Blank form</option>
+    ${templates.length ? html`
+      <optgroup label="Templates">
+        ${templates.map((template) => html`<option value="template:${template.id}">${template.name}</option>`)}
+      </optgroup>
+    ` : ''}
+    ${tokens.length ? html`
+      <optgroup label="Duplicate a previous token">
+        ${tokens.map((token) => html`<option value="token:${token.id}">${token.name} (${token.symbol})</option>`)}
+      </optgroup>
+    ` : ''}
+  `;
+}
+
+async function applyTokenFormPreset(value) {
+  const form = tokenCreationModal?.querySelector('#token-creation-form');
+  if (!form) return;
 
-  if (socialsList) {
-    ['twitter', 'telegram', 'website'].forEach((social) => {
-      const value = form.querySelector(`#token-${social}`)?.value?.trim();
-      const item = socialsList.querySelector(`[data-social="${social}"]`);
-      if (item) {
-        if (value) {
-          const hostname = value.replace(/https?:\/\//, '').split('/')[0] || value;
-          item.classList.remove('hidden');
-          item.querySelector('span.material-symbols-outlined').nextSibling?.remove;
-          item.lastChild?.remove;
-          item.textContent = hostname;
-          item.prepend(item.dataset.iconElement || document.createElement('span'));
-        } else {
-          item.classList.add('hidden');
-        }
-      }
+  tokenCreationModal.querySelector('#token-template-delete').hidden = !value.startsWith('template:');
+  const [kind, id] = value.split(':');
+
+  if (kind === 'template') {
+    const template = tokenFormPresets.templates.find((entry) => entry.id === id);
+    applyTokenFormValues(form, template?.values);
+  } else if (kind === 'token') {
+    const token = tokenFormPresets.tokens.find((entry) => String(entry.id) === id);
+    if (!token) return;
+    // Symbols are unique, so the copy starts without one
+    applyTokenFormValues(form, {
+      name: token.name,
+      symbol: '',
+      description: token.description || '',
+      twitter: token.twitter || '',
+      telegram: token.telegram || '',
+      website: token.website || '',
+      devBuyAmount: token.dev_buy_amount
     });
+    const logo = await fetchTokenLogo(token.image_url);
+    if (logo && form.isConnected) {
+      setTokenLogoFile(form, logo);
+    } else if (token.image_url && form.isConnected) {
+      showSnackbar('Could not copy the logo from the original token. Please upload it again.', 'warning');
+    }
+  } else {
+    return;
   }
+
+  saveTokenDraft(form);
 }
 
-function handleTokenLogoChange(event) {
-  const file = event.target?.files?.[0];
-  const previewLogo = tokenCreationModal?.querySelector('#token-preview-logo');
-  if (!previewLogo) return;
+/**
+ * Download a launched token's logo so a duplicate can re-upload it; null when it cannot be fetched
+ */
+async function fetchTokenLogo(imageUrl) {
+  const url = sanitizeImageUrl(imageUrl);
+  if (!url) return null;
 
-  if (file) {
-    const img = document.createElement('img');
-    img.alt = 'Token logo preview';
-    img.className = 'preview-logo-image';
-    const reader = new FileReader();
-    reader.onload = () => {
-      img.src = reader.result;
-      previewLogo.innerHTML = '';
-      previewLogo.appendChild(img);
-    };
-    reader.readAsDataURL(file);
-  } else {
-    previewLogo.innerHTML = '<span class="material-symbols-outlined">token</span>';
+  try {
+    const response = await fetch(url, { referrerPolicy: 'no-referrer' });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const blob = await response.blob();
+    return blob.size <= TOKEN_LOGO_MAX_BYTES ? blob : null;
+  } catch (error) {
+    console.warn('⚠️ Could not copy the token logo:', error);
+    return null;
+  }
+}
+
+async function saveLaunchTemplate() {
+  const form = tokenCreationModal?.querySelector('#token-creation-form');
+  if (!form || !currentUser) return;
+
+  const name = prompt('Template name (dev buy, slippage, priority fee and socials are saved):')?.trim();
+  if (!name) return;
+
+  const formValues = readTokenFormValues(form);
+  const existing = tokenFormPresets.templates.find((entry) => entry.name.toLowerCase() === name.toLowerCase());
+  const template = {
+    id: existing?.id || generateIdempotencyKey(),
+    user_wallet_id: currentUser.user_wallet_id,
+    name,
+    values: Object.fromEntries(LAUNCH_TEMPLATE_FIELDS.map((key) => [key, formValues[key]])),
+    updated_at: new Date().toISOString()
+  };
+
+  if (!(await DatabaseAPI.putLocalRecord(LAUNCH_TEMPLATE_STORE, template))) {
+    showSnackbar('Failed to save template', 'error');
+    return;
+  }
+
+  tokenFormPresets.templates = [...tokenFormPresets.templates.filter((entry) => entry.id !== template.id), template]
+    .sort((a, b) => a.name.localeCompare(b.name));
+  renderTokenFormPresets(`template:${template.id}`);
+  showSnackbar(`Template "${name}" ${existing ? 'updated' : 'saved'}`, 'success');
+}
+
+async function deleteSelectedLaunchTemplate() {
+  const value = tokenCreationModal?.querySelector('#token-preset')?.value || '';
+  const template = tokenFormPresets.templates.find((entry) => `template:${entry.id}` === value);
+  if (!template || !confirm(`Delete template "${template.name}"?`)) return;
+
+  if (await DatabaseAPI.deleteLocalRecord(LAUNCH_TEMPLATE_STORE, template.id)) {
+    tokenFormPresets.templates = tokenFormPresets.templates.filter((entry) => entry.id !== template.id);
+    renderTokenFormPresets();
+    showSnackbar(`Template "${template.name}" deleted`, 'info');
   }
 }
 
@@ -1763,19 +4294,10 @@ async function submitTokenCreation(tokenData) {
   }
 
   try {
-    if (!currentUser.dev_public_key) {
-      showSnackbar(DEV_WALLET_REQUIRED_MESSAGE, 'warning');
-      return;
-    }
-
-    const devBalance = parseFloat(currentUser?.dev_balance_sol || '0');
-    if (devBalance < DEV_WALLET_MIN_SOL_FOR_TOKENS) {
-      showSnackbar(`Developer wallet needs at least ${DEV_WALLET_MIN_SOL_FOR_TOKENS} SOL before creating tokens.`, 'warning');
-      return;
-    }
-
-    if (tokenData.devBuyAmount > devBalance) {
-      showSnackbar('Dev buy amount exceeds developer wallet SOL balance.', 'error');
+    // Scheduled launches are checked shortly before they fire instead
+    const problems = tokenData.launchAt ? [] : getTokenLaunchProblems(currentUser, tokenData.devBuyAmount);
+    if (problems.length) {
+      showSnackbar(problems[0], 'warning');
       return;
     }
 
@@ -1794,27 +4316,24 @@ async function submitTokenCreation(tokenData) {
       logoBase64
     };
 
-    const orchestratorResponse = await OrchestratorAPI.createAndBuyToken(currentUser.user_wallet_id, payload);
-    if (!orchestratorResponse) {
+    if (tokenData.launchAt) {
+      if (await scheduleTokenLaunch(payload, tokenData.launchAt)) {
+        await discardTokenDraft({ quiet: true });
+      }
       return;
     }
 
-    const tokenRecord = {
-      name: tokenData.name,
-      symbol: tokenData.symbol,
-      description: tokenData.description || null,
-      image_url: orchestratorResponse.image_url || orchestratorResponse.imageUrl || null,
-      twitter: tokenData.twitter || null,
-      telegram: tokenData.telegram || null,
-      website: tokenData.website || null,
-      dev_buy_amount: tokenData.devBuyAmount,
-      contract_address: orchestratorResponse.contract_address || orchestratorResponse.contractAddress || null
-    };
+    const actionId = `${currentUser.user_wallet_id}:create-token:${tokenData.symbol.toUpperCase()}`;
+    const orchestratorResponse = await runIdempotentAction(actionId, (idempotencyKey) =>
+      OrchestratorAPI.createAndBuyToken(currentUser.user_wallet_id, payload, idempotencyKey),
+      { label: 'token launch' }
+    );
+    if (!orchestratorResponse) {
+      return;
+    }
 
-    await DatabaseAPI.createToken(currentUser.user_wallet_id, tokenRecord);
-    await refreshUserData();
-    await loadTokens();
-    showSnackbar(`Token "${tokenData.name}" saved to dashboard`, 'success');
+    await discardTokenDraft({ quiet: true });
+    await handleTokenLaunchResponse(currentUser.user_wallet_id, tokenData, orchestratorResponse);
   } catch (error) {
     if (error?.code === 'DEV_WALLET_NOT_READY') {
       showSnackbar('Developer wallet is still being prepared. Please try again shortly.', 'warning');
@@ -1828,6 +4347,49 @@ async function submitTokenCreation(tokenData) {
   }
 }
 
+/**
+ * Track or save a launch the orchestrator accepted, whether submitted now or by the scheduler
+ */
+async function handleTokenLaunchResponse(walletId, tokenData, orchestratorResponse) {
+  const tokenRecord = buildTokenRecord(tokenData, orchestratorResponse);
+
+  if (orchestratorResponse.jobId) {
+    JobTracker.trackJob({
+      jobId: orchestratorResponse.jobId,
+      type: 'create-token',
+      userWalletId: walletId,
+      params: { tokenRecord },
+      status: orchestratorResponse.jobStatus
+    });
+    showSnackbar(`Token "${tokenData.name}" launch submitted. We'll let you know when it's live.`, 'info');
+    return;
+  }
+
+  await saveLaunchedToken(walletId, tokenRecord);
+}
+
+function buildTokenRecord(tokenData, orchestratorResponse = {}) {
+  return {
+    name: tokenData.name,
+    symbol: tokenData.symbol,
+    description: tokenData.description || null,
+    image_url: orchestratorResponse.image_url || orchestratorResponse.imageUrl || null,
+    twitter: tokenData.twitter || null,
+    telegram: tokenData.telegram || null,
+    website: tokenData.website || null,
+    dev_buy_amount: tokenData.devBuyAmount,
+    contract_address: orchestratorResponse.contract_address || orchestratorResponse.contractAddress || null
+  };
+}
+
+async function saveLaunchedToken(walletId, tokenRecord) {
+  await DatabaseAPI.createToken(walletId, tokenRecord);
+  if (currentUser?.user_wallet_id !== walletId) return;
+  await refreshUserData();
+  await loadTokens();
+  showSnackbar(`Token "${tokenRecord.name}" saved to dashboard`, 'success');
+}
+
 /**
  * Show bundler balance input modal with integer validation
  */
@@ -1837,9 +4399,9 @@ function showBundlerBalanceInput() {
     modal.className = 'modal-overlay';
     modal.id = 'bundler-balance-modal';
     
-    const maxBalance = Math.floor(parseFloat(currentUser.balance_sol));
+    const maxBalance = getBundlerMaxBalance();
     
-    modal.innerHTML = `
+    modal.innerHTML = html`
       <div class="modal-content">
         <div class="modal-header">
           <span class="material-symbols-outlined">inventory_2</span>
@@ -1862,6 +4424,10 @@ function showBundlerBalanceInput() {
                 <label>Minimum Required:</label>
                 <span class="balance-value">1 SOL</span>
               </div>
+              <div class="info-row">
+                <label>Available Mother Wallets:</label>
+                <span class="balance-value">${bundlerPreflightState?.availableMotherWallets ?? '–'}</span>
+              </div>
             </div>
             
             <div class="form-group">
@@ -1881,6 +4447,8 @@ function showBundlerBalanceInput() {
               <div class="error-message" id="balance-error" style="display: none;"></div>
             </div>
             
+            <div class="allocation-breakdown" id="bundler-allocation-breakdown" aria-live="polite"></div>
+            
             <div class="modal-actions">
               <button class="secondary-button" onclick="closeBundlerBalanceModal()">
                 <span class="material-symbols-outlined">close</span>
@@ -1923,6 +4491,67 @@ function showBundlerBalanceInput() {
   });
 }
 
+async function countAvailableMotherWallets() {
+  const wallets = await DatabaseAPI.getMotherWallets('available');
+  return Array.isArray(wallets) ? wallets.length : null;
+}
+
+function getBundlerMaxBalance() {
+  const byBalance = Math.floor(parseFloat(currentUser.distributor_balance_sol) || 0);
+  const available = bundlerPreflightState?.availableMotherWallets;
+  // null: the pool count failed to load, so only the balance limits the bundler
+  return available === undefined || available === null ? byBalance : Math.min(byBalance, available * SOL_PER_MOTHER_WALLET);
+}
+
+/**
+ * Show the planned allocation for balance in the bundler modal (clears it when balance is null)
+ */
+function renderAllocationBreakdown(balance) {
+  const container = document.getElementById('bundler-allocation-breakdown');
+  if (!container) return null;
+  if (!balance || !bundlerPreflightState) {
+    container.innerHTML = '';
+    return null;
+  }
+
+  const plan = planBundlerAllocation(balance, {
+    availableMotherWallets: bundlerPreflightState.availableMotherWallets,
+    distributorBalanceSol: parseFloat(currentUser.distributor_balance_sol) || 0
+  });
+
+  container.innerHTML = html`
+    <h5>Planned allocation</h5>
+    <div class="info-row">
+      <label>Mother wallets</label>
+      <span class="balance-value">${plan.motherWallets} × ${DatabaseAPI.formatBalance(plan.perMotherSol)} SOL</span>
+    </div>
+    <div class="info-row">
+      <label>Child wallets</label>
+      <span class="balance-value">${plan.childWallets}</span>
+    </div>
+    <div class="info-row">
+      <label>Child funding</label>
+      <span class="balance-value">${DatabaseAPI.formatBalance(plan.childFundingMinSol)}–${DatabaseAPI.formatBalance(plan.childFundingMaxSol)} SOL</span>
+    </div>
+    <div class="info-row">
+      <label>Estimated network fees</label>
+      <span class="balance-value">${plan.feesSol.toFixed(6)} SOL</span>
+    </div>
+    <div class="info-row">
+      <label>Debited from distributor</label>
+      <span class="balance-value">${plan.totalDebitSol.toFixed(6)} SOL</span>
+    </div>
+    ${[...plan.blockers.map((text) => ['error', 'block', text]), ...plan.warnings.map((text) => ['warning', 'warning', text])]
+      .map(([level, icon, text]) => html`
+        <p class="allocation-notice ${level}">
+          <span class="material-symbols-outlined">${icon}</span>
+          ${text}
+        </p>
+      `)}
+  `;
+  return plan;
+}
+
 /**
  * Validate bundler balance input in real-time
  */
@@ -1934,13 +4563,14 @@ function validateBundlerBalanceInput() {
   if (!input || !errorDiv || !submitBtn) return;
   
   const value = input.value.trim();
-  const maxBalance = Math.floor(parseFloat(currentUser.distributor_balance_sol));
+  const maxBalance = getBundlerMaxBalance();
   
   // Clear previous error
   errorDiv.style.display = 'none';
   errorDiv.textContent = '';
   input.classList.remove('error');
   submitBtn.disabled = false;
+  renderAllocationBreakdown(null);
   
   if (!value) {
     return; // Empty is okay, we'll validate on submit
@@ -1966,6 +4596,12 @@ function validateBundlerBalanceInput() {
     return;
   }
   
+  const plan = renderAllocationBreakdown(balance);
+  if (plan?.blockers.length) {
+    showInputError(plan.blockers[0]);
+    return;
+  }
+  
   function showInputError(message) {
     errorDiv.textContent = message;
     errorDiv.style.display = 'block';
@@ -1977,7 +4613,7 @@ function validateBundlerBalanceInput() {
 /**
  * Validate and submit bundler balance
  */
-function validateAndSubmitBalance() {
+async function validateAndSubmitBalance() {
   console.log('🔄 [DEBUG] validateAndSubmitBalance called');
   
   const input = document.getElementById('bundler-balance-input');
@@ -1987,7 +4623,7 @@ function validateAndSubmitBalance() {
   }
   
   const value = input.value.trim();
-  const maxBalance = Math.floor(parseFloat(currentUser.balance_sol));
+  const maxBalance = getBundlerMaxBalance();
   
   if (!value) {
     showSnackbar('Please enter a bundler balance', 'warning');
@@ -2011,6 +4647,20 @@ function validateAndSubmitBalance() {
     return;
   }
   
+  // Re-count the pool right before submitting; other users may have taken wallets meanwhile
+  const submitBtn = document.querySelector('#bundler-balance-modal .primary-button');
+  if (submitBtn) submitBtn.disabled = true;
+  const availableMotherWallets = await countAvailableMotherWallets();
+  if (submitBtn) submitBtn.disabled = false;
+  if (availableMotherWallets !== null) {
+    bundlerPreflightState = { availableMotherWallets };
+  }
+  const plan = renderAllocationBreakdown(balance);
+  if (plan?.blockers.length) {
+    showSnackbar(plan.blockers[0], 'error');
+    return;
+  }
+  
   // Valid balance, close modal and resolve
   console.log('✅ [DEBUG] Valid balance entered:', balance);
   console.log('✅ [DEBUG] Resolving promise with balance:', balance);
@@ -2053,6 +4703,7 @@ function closeBundlerBalanceModal() {
   
   // Reset the submitted flag
   window.bundlerBalanceSubmitted = false;
+  bundlerPreflightState = null;
 }
 
 /**
@@ -2065,7 +4716,7 @@ function showFundingPrompt() {
   modal.className = 'modal-overlay';
   modal.id = 'funding-prompt-modal';
   
-  modal.innerHTML = `
+  modal.innerHTML = html`
     <div class="modal-content">
       <div class="modal-header">
         <span class="material-symbols-outlined" style="color: var(--md-sys-color-warning);">account_balance_wallet</span>
@@ -2168,11 +4819,15 @@ async function toggleBundlerStatus(bundlerId, newStatus) {
   try {
     showLoadingOverlay(true, 'Updating bundler...');
     
-    await DatabaseAPI.updateBundlerStatus(bundlerId, newStatus);
+    const updated = await DatabaseAPI.updateBundlerStatus(bundlerId, newStatus);
     
     // Refresh bundlers list
     await loadBundlers();
     
+    if (updated && !newStatus && bundlerHoldsBalance(updated)) {
+      showSnackbar('This bundler still holds SOL or SPL. You can find it under Archived.', 'warning');
+    }
+    
   } catch (error) {
     console.error('❌ Failed to toggle bundler status:', error);
     showSnackbar('Failed to update bundler status', 'error');
@@ -2181,6 +4836,28 @@ async function toggleBundlerStatus(bundlerId, newStatus) {
   }
 }
 
+/**
+ * Resume an archived bundler. Its mother wallets were released when it was archived,
+ * so refuse if any of them has since been assigned to another active bundler.
+ */
+async function reactivateBundler(bundlerId) {
+  try {
+    showLoadingOverlay(true, 'Checking mother wallets...');
+    
+    const conflicts = await DatabaseAPI.getBundlerReactivationConflicts(bundlerId);
+    if (conflicts === null) return;
+    if (conflicts.length > 0) {
+      const ids = conflicts.map((wallet) => `#${wallet.id}`).join(', ');
+      showSnackbar(`Cannot reactivate: mother wallet${conflicts.length === 1 ? '' : 's'} ${ids} ${conflicts.length === 1 ? 'is' : 'are'} now in use by another bundler`, 'error');
+      return;
+    }
+  } finally {
+    showLoadingOverlay(false);
+  }
+  
+  await toggleBundlerStatus(bundlerId, true);
+}
+
 /**
  * Create new bundler
  */
@@ -2204,6 +4881,14 @@ async function createBundler() {
       return;
     }
     
+    // Pre-flight: the pool must have at least one free mother wallet (null: unknown, checked by the orchestrator)
+    const availableMotherWallets = await countAvailableMotherWallets();
+    if (availableMotherWallets === 0) {
+      showSnackbar('No mother wallets are available right now. Try again once the pool is replenished.', 'warning');
+      return;
+    }
+    bundlerPreflightState = { availableMotherWallets };
+    
     // Show bundler balance input modal
     console.log('🔄 [DEBUG] Showing bundler balance input modal');
     const balance = await showBundlerBalanceInput();
@@ -2214,27 +4899,34 @@ async function createBundler() {
       return; // User cancelled or invalid input
     }
     
-    // Generate idempotency key for reliability
-    const idempotencyKey = generateIdempotencyKey();
+    // Reuse the idempotency key of an unresolved attempt with the same balance
+    const actionId = `${currentUser.user_wallet_id}:create-bundler:${balance}`;
     
     console.log('📤 [BUNDLER_CREATION] Sending request to orchestrator:', {
       user_wallet_id: currentUser.user_wallet_id,
       bundler_balance: balance,
-      idempotency_key: idempotencyKey
-    });
-    
-    // Create bundler via orchestrator
-    console.log('🔄 [DEBUG] Calling OrchestratorAPI.createBundler with:', {
-      userWalletId: currentUser.user_wallet_id,
-      balance: balance,
-      idempotencyKey: idempotencyKey
+      action_id: actionId
     });
     
-    const result = await OrchestratorAPI.createBundler(currentUser.user_wallet_id, balance, idempotencyKey);
+    const result = await runIdempotentAction(actionId, (idempotencyKey) =>
+      OrchestratorAPI.createBundler(currentUser.user_wallet_id, balance, idempotencyKey),
+      { label: 'bundler creation' }
+    );
     
     console.log('📥 [DEBUG] API call result:', result);
     
-    if (result) {
+    if (result?.jobId) {
+      console.log('🕒 [BUNDLER_CREATION] Tracking bundler job:', result.jobId);
+      JobTracker.trackJob({
+        jobId: result.jobId,
+        type: 'create-bundler',
+        userWalletId: currentUser.user_wallet_id,
+        params: { bundlerBalance: balance },
+        status: result.jobStatus
+      });
+      showBundlerProgressModal({ jobId: result.jobId, bundlerBalance: balance });
+      renderBundlerJobs();
+    } else if (result) {
       console.log('✅ [BUNDLER_CREATION] Success response:', result);
       
       // Show success message with details
@@ -2309,6 +5001,10 @@ async function verifyBalance() {
     
     const result = await OrchestratorAPI.verifyInAppBalance(currentUser.user_wallet_id);
     
+    if (result) {
+      applyVerifiedBalances({ distributor_balance_sol: result.currentBalance });
+    }
+    
     if (result && result.balanceUpdated) {
       // Refresh user data to get updated balance
       await refreshUserData();
@@ -2349,7 +5045,7 @@ function showBundlerCreationAvailable(balance) {
   modal.className = 'modal-overlay';
   modal.id = 'bundler-available-modal';
   
-  modal.innerHTML = `
+  modal.innerHTML = html`
     <div class="modal-content">
       <div class="modal-header">
         <span class="material-symbols-outlined" style="color: var(--md-sys-color-success);">check_circle</span>
@@ -2374,7 +5070,7 @@ function showBundlerCreationAvailable(balance) {
               <li><strong>Integer amounts only:</strong> 1, 2, 3, 4 SOL, etc.</li>
               <li><strong>Distributor wallet purpose:</strong> Each bundler becomes a distributor wallet for token creation</li>
               <li><strong>Mother wallet allocation:</strong> 1 SOL = 1 mother wallet assigned</li>
-              <li><strong>Child wallet distribution:</strong> Each mother wallet has 4 child wallets</li>
+              <li><strong>Child wallet distribution:</strong> Each mother wallet funds ${CHILD_WALLETS_PER_MOTHER} child wallet${CHILD_WALLETS_PER_MOTHER === 1 ? '' : 's'} with ${CHILD_FUNDING_RANGE_SOL.min}–${CHILD_FUNDING_RANGE_SOL.max} SOL</li>
             </ul>
           </div>
           
@@ -2425,7 +5121,11 @@ async function transferToOwner() {
       return;
     }
     
-    const result = await OrchestratorAPI.transferToOwner(currentUser.user_wallet_id, transferAmount);
+    const actionId = `${currentUser.user_wallet_id}:transfer:${transferAmount}`;
+    const result = await runIdempotentAction(actionId, (idempotencyKey) =>
+      OrchestratorAPI.transferToOwner(currentUser.user_wallet_id, transferAmount, idempotencyKey),
+      { label: 'transfer' }
+    );
     
     if (result) {
       // Refresh data
@@ -2482,49 +5182,390 @@ async function copyDevWalletAddress() {
   }
 }
 
+// ========== ORCHESTRATOR JOBS ==========
+
+function registerJobHandlers() {
+  if (!window.JobTracker) return;
+
+  JobTracker.registerJobHandler('create-bundler', {
+    onResume(job) {
+      showSnackbar('Resuming bundler creation tracking...', 'info');
+      showBundlerProgressModal({ jobId: job.jobId, bundlerBalance: job.params.bundlerBalance });
+      applyBundlerProgress(job.jobId, job.progress);
+    },
+    onUpdate(job) {
+      applyBundlerProgress(job.jobId, job.progress);
+    },
+    async onComplete(job, result) {
+      closeBundlerProgressModal();
+      renderBundlerJobs();
+      const bundlerResult = OrchestratorAPI.mapBundlerResult(result);
+      showSnackbar(`Bundler created successfully! Allocated ${bundlerResult.allocatedMotherWallets?.length || 'N/A'} mother wallets`, 'success');
+      if (currentUser?.user_wallet_id === job.userWalletId) {
+        await refreshUserData();
+        await loadBundlers();
+      }
+      showBundlerCreationSuccess(bundlerResult);
+    },
+    async onFailed(job, errorMessage) {
+      closeBundlerProgressModal();
+      renderBundlerJobs();
+      showSnackbar(`Bundler creation failed: ${errorMessage}`, 'error');
+      if (currentUser?.user_wallet_id === job.userWalletId) {
+        await loadBundlers();
+      }
+    }
+  });
+
+  JobTracker.registerJobHandler('create-token', {
+    onResume(job) {
+      showSnackbar(`Resuming launch tracking for "${job.params.tokenRecord?.name}"...`, 'info');
+    },
+    async onComplete(job, result) {
+      const tokenRecord = {
+        ...job.params.tokenRecord,
+        image_url: result.image_url || result.imageUrl || job.params.tokenRecord.image_url,
+        contract_address: result.contract_address || result.contractAddress || job.params.tokenRecord.contract_address
+      };
+      await saveLaunchedToken(job.userWalletId, tokenRecord);
+    },
+    onFailed(job, errorMessage) {
+      showSnackbar(`Token "${job.params.tokenRecord?.name}" launch failed: ${errorMessage}`, 'error');
+    }
+  });
+}
+
 // ========== REAL-TIME UPDATES ==========
 
 // ========== REALTIME SUBSCRIPTIONS ==========
 
+/**
+ * Start the configured backend notification transport (SSE by default, WebSocket optional)
+ */
+function startNotificationTransport() {
+  if (!currentUser?.user_wallet_id) return;
+
+  if (NOTIFICATION_TRANSPORT === 'websocket' && window.NotificationSystem) {
+    NotificationSystem.setupWebSocketNotifications(currentUser.user_wallet_id);
+  } else if (window.OrchestratorAPI) {
+    OrchestratorAPI.setupNotificationListener(currentUser.user_wallet_id);
+  }
+}
+
+function stopNotificationTransport() {
+  if (window.NotificationSystem) {
+    NotificationSystem.setNotificationHandlersReady(false);
+    NotificationSystem.teardownWebSocketNotifications();
+  }
+  if (window.OrchestratorAPI) {
+    OrchestratorAPI.teardownNotificationListener();
+  }
+}
+
+// ========== REALTIME PATCHING ==========
+
+/**
+ * Replace, insert (at the top) or remove (markup = null) one row of a rendered list.
+ * Returns false when the list is showing a placeholder (loading, empty, error) and
+ * the caller should render the whole list instead.
+ */
+function patchListRow(listId, rowSelector, markup) {
+  const list = document.getElementById(listId);
+  if (!list || list.querySelector('.empty-state, .loading-state, .error-state')) return false;
+
+  const existing = list.querySelector(rowSelector);
+  if (!markup) {
+    existing?.remove();
+    return list.querySelector('.list-item') !== null;
+  }
+
+  const template = document.createElement('template');
+  template.innerHTML = String(markup).trim();
+  const row = template.content.firstElementChild;
+  if (existing) {
+    existing.replaceWith(row);
+  } else {
+    list.prepend(row);
+  }
+  return true;
+}
+
+/**
+ * Apply an INSERT/UPDATE/DELETE payload to an array of rows keyed by id (newest first)
+ */
+function applyRowChange(rows = [], payload, key = 'id') {
+  if (payload.eventType === 'DELETE') {
+    return rows.filter((row) => row[key] !== payload.old[key]);
+  }
+  const index = rows.findIndex((row) => row[key] === payload.new[key]);
+  if (index === -1) {
+    return [payload.new, ...rows];
+  }
+  const next = [...rows];
+  next[index] = { ...rows[index], ...payload.new };
+  return next;
+}
+
+function handleBundlerChange(payload) {
+  const id = payload.eventType === 'DELETE' ? payload.old.id : payload.new.id;
+  const previous = currentUser?.bundlers?.find((bundler) => bundler.id === id);
+  mergeUserData({ bundlers: applyRowChange(currentUser?.bundlers, payload) });
+  const bundler = currentUser.bundlers.find((entry) => entry.id === id);
+
+  // Moving between the Active and Archived tabs changes counts and both lists
+  if (!bundler || !previous || bundler.is_active !== previous.is_active) {
+    renderBundlers();
+  } else {
+    patchBundlerRow(bundler);
+  }
+
+  if (bundler && bundlerDetailState && Number(bundlerDetailState.bundler.id) === id) {
+    bundlerDetailState.bundler = bundler;
+    renderBundlerDetailWallets();
+  }
+  renderTokenDetail();
+}
+
+function patchBundlerRow(bundler) {
+  const row = document.querySelector(`#bundlers-list [data-bundler-id="${bundler.id}"]`);
+  if (!row) return;
+
+  const template = document.createElement('template');
+  template.innerHTML = String(renderBundlerItem(bundler)).trim();
+  const next = template.content.firstElementChild;
+  // Keep the open chart panel instead of re-creating it empty
+  next.querySelector('.balance-chart-panel').replaceWith(row.querySelector('.balance-chart-panel'));
+  row.replaceWith(next);
+
+  if (bundlerView === 'archived') {
+    const header = document.querySelector('#bundlers-list .archived-bundlers-header');
+    header?.insertAdjacentHTML('afterend', renderArchivedSummary(currentUser.bundlers.filter((entry) => !entry.is_active)));
+    header?.remove();
+  }
+  if (expandedBundlerCharts.has(bundler.id)) {
+    loadBundlerChart(bundler.id);
+  }
+}
+
+function handleTokenChange(payload) {
+  mergeUserData({ tokens: applyRowChange(currentUser?.tokens, payload) });
+
+  const token = payload.eventType === 'DELETE' ? null : currentUser.tokens.find((entry) => entry.id === payload.new.id);
+  const id = token ? token.id : payload.old.id;
+  if (!patchListRow('tokens-list', `[data-token-id="${id}"]`, token ? renderTokenItem(token) : null)) {
+    renderTokens();
+  }
+
+  if (tokenDetailState && Number(tokenDetailState.tokenId) === Number(id)) {
+    if (token) {
+      renderTokenDetail();
+    } else {
+      closeTokenDetailModal();
+    }
+  }
+}
+
+function handleChildWalletChange(payload) {
+  const deleted = payload.eventType === 'DELETE';
+  const child = deleted ? payload.old : payload.new;
+  if (!child?.public_key || !bundlerDetailState) return;
+
+  // DELETE payloads only carry the replica identity (public_key), not mother_wallet_id
+  const mother = bundlerDetailState.motherWallets.find((wallet) => (deleted
+    ? wallet.children.some((entry) => entry.public_key === child.public_key)
+    : wallet.id === child.mother_wallet_id));
+  if (!mother) return;
+
+  mother.children = applyRowChange(mother.children, payload, 'public_key');
+  // Patch in place; the sort order catches up on the next filter or sort change
+  const row = document.querySelector(`#bundler-detail-wallets [data-child-key="${CSS.escape(child.public_key)}"]`);
+  if (row && !deleted) {
+    row.outerHTML = renderChildWalletRow(mother.children.find((entry) => entry.public_key === child.public_key));
+  } else {
+    renderBundlerDetailWallets();
+  }
+}
+
+async function handleAssignmentChange(payload) {
+  const assignment = payload.eventType === 'DELETE' ? payload.old : payload.new;
+
+  await refreshChildWalletSubscription();
+  motherPoolState.wallets
+    .filter((wallet) => wallet.id === assignment.mother_wallet_id)
+    .forEach(patchMotherWalletRow);
+
+  if (bundlerDetailState && Number(bundlerDetailState.bundler.id) === assignment.bundler_id) {
+    loadBundlerDetailWallets(assignment.bundler_id);
+  }
+}
+
+/**
+ * Re-scope the child wallet channel to the mother wallets our bundlers currently hold
+ */
+async function refreshChildWalletSubscription() {
+  if (!currentUser) return;
+
+  const assignments = await loadMotherWalletAssignments();
+  const motherWalletIds = [...new Set(assignments.map((row) => row.mother_wallet_id))].sort((a, b) => a - b);
+
+  DatabaseAPI.unsubscribeChannel(childWalletSubscription);
+  childWalletSubscription = DatabaseAPI.subscribeToChildWalletChanges(motherWalletIds, handleChildWalletChange);
+}
+
 function setupRealtimeSubscriptions() {
+  startNotificationTransport();
+
   if (!DatabaseAPI || typeof DatabaseAPI.getUserByWalletId !== 'function') return;
   if (!currentUser || !supabaseClient) return;
 
   teardownRealtimeSubscriptions();
 
   try {
-    // Subscribe to bundler updates
-    const bundlerSub = supabaseClient
-      .channel('bundlers-changes')
-      .on('postgres_changes', { event: '*', schema: 'public', table: 'bundlers', filter: `user_wallet_id=eq.${currentUser.user_wallet_id}` }, async () => {
-        await loadBundlers();
-      })
-      .subscribe();
-
-    // Subscribe to user balance updates
-    const userSub = supabaseClient
-      .channel('users-changes')
-      .on('postgres_changes', { event: '*', schema: 'public', table: 'users', filter: `user_wallet_id=eq.${currentUser.user_wallet_id}` }, async () => {
-        await refreshUserData();
-      })
-      .subscribe();
-
-    subscriptions.push(bundlerSub, userSub);
+    const walletId = currentUser.user_wallet_id;
+    subscriptions.push(
+      DatabaseAPI.subscribeToUserChanges(walletId, () => refreshUserData()),
+      DatabaseAPI.subscribeToBundlerChanges(walletId, handleBundlerChange),
+      DatabaseAPI.subscribeToTokenChanges(walletId, handleTokenChange),
+      DatabaseAPI.subscribeToMotherWalletChanges(handleMotherWalletChange),
+      DatabaseAPI.subscribeToAssignmentChanges(handleAssignmentChange)
+    );
+    refreshChildWalletSubscription().catch((error) => {
+      console.error('❌ Failed to subscribe to child wallet changes:', error);
+    });
   } catch (error) {
     console.error('❌ Failed to set up realtime subscriptions:', error);
   }
 }
 
 function teardownRealtimeSubscriptions() {
-  if (!subscriptions.length) return;
-  subscriptions.forEach((sub) => {
-    if (sub && typeof sub.unsubscribe === 'function') {
-      sub.unsubscribe();
-    } else if (sub && typeof supabaseClient?.removeChannel === 'function') {
-      supabaseClient.removeChannel(sub);
-    }
-  });
+  [...subscriptions, childWalletSubscription].forEach((channel) => DatabaseAPI.unsubscribeChannel(channel));
   subscriptions = [];
+  childWalletSubscription = null;
+}
+
+// ========== XSS SELF-CHECK ==========
+
+const XSS_PROBE_PAYLOADS = [
+  '<img src=x onerror="window.__xssProbe()">',
+  '"><script>window.__xssProbe()</script>',
+  "');window.__xssProbe();//",
+  'javascript:window.__xssProbe()'
+];
+
+/**
+ * Problems found in rendered markup: scripts, injected handlers, unsafe links or image hosts
+ */
+function findUnsafeMarkup(markup) {
+  const template = document.createElement('template');
+  template.innerHTML = String(markup);
+  const problems = [];
+
+  if (template.content.querySelector('script')) problems.push('script element');
+
+  template.content.querySelectorAll('*').forEach((element) => {
+    [...element.attributes].forEach(({ name, value }) => {
+      // String literals from jsArg are inert, so only code outside them counts
+      if (name.startsWith('on') && value.replace(/"(?:[^"\\]|\\.)*"/g, '""').includes('__xssProbe')) {
+        problems.push(`${element.tagName.toLowerCase()}[${name}] runs the payload`);
+      }
+      if ((name === 'href' || name === 'src') && /^\s*javascript:/i.test(value)) {
+        problems.push(`${element.tagName.toLowerCase()}[${name}] is a javascript: URL`);
+      }
+    });
+  });
+
+  template.content.querySelectorAll('img').forEach((image) => {
+    if (!sanitizeImageUrl(image.getAttribute('src'))) problems.push(`img from disallowed host: ${image.getAttribute('src')}`);
+  });
+
+  return problems;
+}
+
+/**
+ * Run known XSS payloads through every renderer that shows user-controlled or on-chain data
+ */
+function testXssRendering() {
+  const savedAssignments = motherPoolState.assignments;
+  const savedUser = currentUser;
+  const now = new Date().toISOString();
+  let failures = 0;
+
+  try {
+    XSS_PROBE_PAYLOADS.forEach((payload) => {
+      motherPoolState.assignments = new Map([[1, { id: 1, token_name: payload, is_active: true }]]);
+
+      const token = {
+        id: 1, name: payload, symbol: payload, description: payload, contract_address: payload, image_url: payload,
+        twitter: payload, telegram: payload, website: payload, dev_buy_amount: 0.2
+      };
+      const bundler = { id: 1, token_name: payload, total_balance_sol: 1, total_balance_spl: 1, is_active: false };
+      const launch = {
+        id: payload, status: 'failed', launch_at: Date.now() + 60 * 1000, problems: [payload], error: payload,
+        payload: { name: payload, symbol: payload, devBuyAmount: payload }
+      };
+      currentUser = { ...savedUser, tokens: [token], bundlers: [bundler], dev_balance_spl: 1, distributor_balance_spl: 1 };
+
+      const cases = {
+        renderTokenItem: renderTokenItem({
+          id: 1, name: payload, symbol: payload, description: payload,
+          contract_address: payload, image_url: payload, dev_buy_amount: 0.2
+        }),
+        'renderTokenItem (foreign logo host)': renderTokenItem({
+          id: 2, name: 'Token', symbol: 'TKN', image_url: 'https://attacker.example/logo.png'
+        }),
+        renderBundlerItem: renderBundlerItem({
+          id: 1, token_name: payload, total_balance_sol: 1, total_balance_spl: 1, is_active: true
+        }),
+        renderActivityEntry: renderActivityEntry({
+          id: 1, type: payload, status: payload, amount_sol: 1, signature: payload, error: payload, created_at: now
+        }),
+        renderNotificationEntry: renderNotificationEntry({
+          id: payload, type: payload, severity: payload, message: payload, received_at: now, link: { kind: 'token' }
+        }),
+        renderMotherWalletRow: renderMotherWalletRow({ id: 1, public_key: payload, balance_sol: 1, is_available: false }),
+        renderChildWalletRow: renderChildWalletRow({ public_key: payload, balance_sol: 0, balance_spl: 0 }),
+        renderWalletActions: renderWalletActions(payload),
+        renderTokenDetailShell: renderTokenDetailShell(token),
+        renderTokenDetailBody: renderTokenDetailBody(token, bundler),
+        'renderTokenDetailBody (older token)': renderTokenDetailBody({ ...token, id: 2 }, null, true),
+        renderBundlerDetailShell: renderBundlerDetailShell(bundler),
+        renderMotherWalletGroup: renderMotherWalletGroup({
+          id: 1, public_key: payload, balance_sol: 1, balance_spl: 1,
+          children: [{ public_key: payload, balance_sol: 1, balance_spl: 0 }]
+        }),
+        renderBundlerProgressWallet: renderBundlerProgressWallet({
+          motherWalletId: payload,
+          publicKey: payload,
+          steps: { [BUNDLER_PROGRESS_STEPS[0].key]: { status: 'failed', signature: payload, error: payload } }
+        }, 0),
+        renderScheduledLaunchItem: renderScheduledLaunchItem(launch),
+        renderSellSplModalContent: renderSellSplModalContent(payload, payload),
+        'renderTokenCreationFormMarkup (edit)': renderTokenCreationFormMarkup(token),
+        renderTokenFormPresetOptions: renderTokenFormPresetOptions({ templates: [{ id: payload, name: payload }], tokens: [token] }),
+        renderTokenLogoPreviewMarkup: renderTokenLogoPreviewMarkup(sanitizeImageUrl(payload)),
+        renderArchivedSummary: renderArchivedSummary([bundler]),
+        renderBundlerJobItem: renderBundlerJobItem({ jobId: payload, params: { bundlerBalance: payload } })
+      };
+
+      Object.entries(cases).forEach(([renderer, markup]) => {
+        const problems = findUnsafeMarkup(markup);
+        if (problems.length) {
+          failures += 1;
+          console.error(`❌ ${renderer} is unsafe for ${JSON.stringify(payload)}:`, problems);
+        }
+      });
+    });
+  } finally {
+    motherPoolState.assignments = savedAssignments;
+    currentUser = savedUser;
+  }
+
+  if (failures) {
+    console.error(`❌ XSS self-check failed (${failures} case${failures === 1 ? '' : 's'})`);
+  } else {
+    console.log('🛡️ XSS self-check passed for all renderers');
+  }
+  return failures === 0;
 }
 
 // ... rest of the code remains the same ...
@@ -2540,7 +5581,9 @@ window.SolanafiedApp = {
   copyAddress,
   copyDistributorAddress,
   copyDevWalletAddress,
-  toggleTheme
+  toggleTheme,
+  testXssRendering,
+  testIdempotentRetry
 };
 
 function initializeApp() {
@@ -2561,6 +5604,15 @@ function initializeApp() {
   }
 
   updateWalletUI();
+  initializeNotificationCenter();
+
+  AuthAPI.onSessionExpired(async () => {
+    await disconnectWallet();
+    showSnackbar('Your session expired. Reconnect your wallet to continue.', 'warning');
+  });
+
+  registerJobHandlers();
+  registerLaunchSchedulerHandlers();
 }
 
 if (document.readyState === 'loading') {
@@ -6,7 +6,7 @@ const dotenv = require('dotenv');
 dotenv.config();
 
 const REQUIRED_KEYS = ['SUPABASE_URL', 'SUPABASE_ANON_KEY'];
-const OPTIONAL_KEYS = ['ORCHESTRATOR_BASE_URL'];
+const OPTIONAL_KEYS = ['ORCHESTRATOR_BASE_URL', 'NOTIFICATION_TRANSPORT', 'AUTH_VERIFIER_URL', 'TOKEN_IMAGE_HOSTS'];
 
 function getEnvValue(key) {
   return process.env[key] ?? '';
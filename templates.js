@@ -0,0 +1,152 @@
+/**
+ * SOLANAFIED - SAFE HTML TEMPLATES
+ *
+ * Every renderer builds markup with the `html` tagged template. Interpolated
+ * values are escaped unless they are themselves `html` results (or wrapped in
+ * rawHtml for trusted static markup), so token names, descriptions, addresses
+ * and orchestrator messages can never inject elements or attributes.
+ *
+ * Inline handlers take their string arguments through jsArg, token logos only
+ * load from the https hosts allowed by sanitizeImageUrl, and user-supplied links
+ * go through sanitizeLinkUrl.
+ */
+
+// ========== TEMPLATE CONFIGURATION ==========
+
+// IPFS gateways used for Pump.fun metadata; extend with TOKEN_IMAGE_HOSTS (comma-separated).
+// Duplicating a token fetches its logo, so keep these in the CSP connect-src in render.yaml.
+const DEFAULT_TOKEN_IMAGE_HOSTS = [
+  'ipfs.io',
+  'cf-ipfs.com',
+  'gateway.pinata.cloud',
+  'pump.mypinata.cloud'
+];
+
+let tokenImageHosts = null;
+
+// ========== ESCAPING ==========
+
+/**
+ * Markup that has already been escaped or is trusted. Only html and rawHtml create it.
+ */
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+/**
+ * Escape a value for interpolation into HTML markup
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function renderTemplateValue(value) {
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(renderTemplateValue).join('');
+  if (value === null || value === undefined || value === false) return '';
+  return escapeHtml(value);
+}
+
+/**
+ * Tagged template that escapes every interpolation. Arrays are joined, and
+ * null, undefined and false render nothing so `${cond && html`...`}` works.
+ */
+function html(strings, ...values) {
+  return new SafeHtml(strings.reduce(
+    (markup, string, index) => markup + string + (index < values.length ? renderTemplateValue(values[index]) : ''),
+    ''
+  ));
+}
+
+/**
+ * Mark trusted, static markup as safe. Never pass data from the database or the network.
+ */
+function rawHtml(markup) {
+  return new SafeHtml(String(markup));
+}
+
+/**
+ * A string argument for an inline handler, e.g. onclick="copyToClipboard(${jsArg(key)})".
+ * HTML-escaping alone is not enough there: the attribute is decoded before the script runs.
+ */
+function jsArg(value) {
+  return new SafeHtml(escapeHtml(JSON.stringify(String(value ?? ''))));
+}
+
+// ========== IMAGE URLS ==========
+
+function getTokenImageHosts() {
+  if (tokenImageHosts) return tokenImageHosts;
+
+  const configured = (resolveEnvVar('TOKEN_IMAGE_HOSTS', { optional: true }) || '')
+    .split(',')
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean);
+
+  let storageHost = null;
+  try {
+    storageHost = new URL(SUPABASE_URL).hostname;
+  } catch (error) {
+    // Supabase is not configured; uploaded logos cannot exist either
+  }
+
+  tokenImageHosts = [...DEFAULT_TOKEN_IMAGE_HOSTS, ...configured, storageHost].filter(Boolean);
+  return tokenImageHosts;
+}
+
+/**
+ * Return url when it is an https URL on an allowed image host, otherwise null
+ */
+function sanitizeImageUrl(url) {
+  if (!url) return null;
+
+  try {
+    const parsed = new URL(String(url));
+    if (parsed.protocol !== 'https:' || parsed.username || parsed.password) return null;
+
+    const host = parsed.hostname.toLowerCase();
+    const allowed = getTokenImageHosts().some((entry) => host === entry || host.endsWith(`.${entry}`));
+    return allowed ? parsed.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Return url when it is an http(s) link that is safe to put in an href, otherwise null
+ */
+function sanitizeLinkUrl(url) {
+  if (!url) return null;
+
+  try {
+    const parsed = new URL(String(url));
+    if (!['https:', 'http:'].includes(parsed.protocol) || parsed.username || parsed.password) return null;
+    return parsed.href;
+  } catch (error) {
+    return null;
+  }
+}
+
+// ========== EXPORT FOR GLOBAL ACCESS ==========
+
+window.TemplateAPI = {
+  html,
+  rawHtml,
+  jsArg,
+  escapeHtml,
+  sanitizeImageUrl,
+  sanitizeLinkUrl
+};
+
+console.log('🧩 Template API loaded successfully');